@@ -0,0 +1,211 @@
+/**
+ * API 변경 탐지 설정 로더
+ * 서비스별 apidiff.config.yaml (incoming 번들 또는 services/<name>/)을 읽어 탐지기 동작을 조정
+ *
+ * 설정 예:
+ *   extensions:
+ *     default: informational      # 선언되지 않은 x-* 확장 필드의 기본 분류
+ *     x-rate-limit: breaking
+ *     x-internal: informational
+ *     x-generated-at: ignored
+ *   rules:
+ *     severities:                 # 변경 유형별 분류 재정의: breaking | non-breaking | ignored
+ *       PARAMETER_STYLE_CHANGED: non-breaking
+ *     risk:
+ *       weights:                  # 위험 점수 계산 시 변경 유형별 가중치 (기본값은 DEFAULT_RISK_WEIGHTS, 없으면 1)
+ *         ENDPOINT_REMOVED: 2
+ *       importance:               # 엔드포인트 중요도 배수 (유형 가중치에 곱함)
+ *         deprecated: 0.5         # deprecated 엔드포인트의 변경
+ *         tags:                   # 태그별 (여러 태그면 가장 큰 값)
+ *           인증: 2
+ *         groups:                 # 그룹별 (공개/내부)
+ *           internal: 0.5
+ *       thresholds:               # 위험 점수가 값을 초과하면 해당 위험도 (modified: 수정 엔드포인트 수 기준 medium)
+ *         critical: 5
+ *         high: 2
+ *       removedWithoutDeprecation: high   # deprecated 예고 없는 삭제가 있을 때 최소 위험도 (low면 하한 없음)
+ *     groups:                     # 그룹(apiDocs-<group>)별 재정의
+ *       internal:
+ *         risk:
+ *           thresholds:
+ *             critical: 10
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+const CONFIG_FILE_NAME = 'apidiff.config.yaml';
+
+/**
+ * 확장 필드 변경 분류 (breaking: Breaking 변경, informational: 정보성 변경, ignored: 보고하지 않음)
+ */
+const EXTENSION_SIGNIFICANCES = ['breaking', 'informational', 'ignored'];
+
+/**
+ * 변경 유형별 분류 재정의 값
+ */
+const SEVERITIES = ['breaking', 'non-breaking', 'ignored'];
+
+/**
+ * 위험도 기본 기준 (그룹 단위, 전체 위험도는 가장 높은 그룹 위험도)
+ */
+const DEFAULT_RISK_THRESHOLDS = { critical: 5, high: 2, medium: 0, modified: 10 };
+
+/**
+ * deprecated 예고 없는 삭제가 있을 때의 최소 위험도 (기본값 high)
+ */
+const RISK_LEVELS = ['low', 'medium', 'high', 'critical'];
+const DEFAULT_REMOVAL_RISK_FLOOR = 'high';
+
+/**
+ * 변경 유형별 기본 위험 가중치 (목록에 없는 유형은 1)
+ * 호출 자체가 실패하게 되는 삭제/인증 변경과 기존 요청을 거부하게 되는 필수화 변경에 높은 가중치
+ */
+const DEFAULT_RISK_WEIGHTS = {
+    ENDPOINT_REMOVED: 3,
+    METHOD_REMOVED: 3,
+    ENDPOINT_REQUIRES_AUTH: 3,
+    SECURITY_SCHEME_REMOVED: 3,
+    ENDPOINT_MOVED: 2,
+    SERVER_REMOVED: 2,
+    WEBHOOK_REMOVED: 2,
+    CALLBACK_REMOVED: 2,
+    REQUIRED_PARAMETER_ADDED: 2,
+    PARAMETER_BECAME_REQUIRED: 2,
+    REQUEST_BODY_BECAME_REQUIRED: 2
+};
+
+/**
+ * 엔드포인트 중요도 기본 배수 (deprecated 엔드포인트와 내부 그룹 변경은 영향 범위가 작으므로 낮춤)
+ */
+const DEFAULT_RISK_IMPORTANCE = { deprecated: 0.5, tags: {}, groups: { internal: 0.5 } };
+
+class ApiDiffConfig {
+    /**
+     * @param {object} config - 파싱된 설정 객체
+     * @param {string|null} sourcePath - 설정 파일 경로 (기본 설정이면 null)
+     */
+    constructor(config = {}, sourcePath = null) {
+        this.config = config || {};
+        this.sourcePath = sourcePath;
+        this.warnedKeys = new Set();
+    }
+
+    /**
+     * 후보 디렉토리 순서대로 설정 파일을 찾아 로드 (없거나 읽을 수 없으면 기본 설정)
+     * @param {Array<string>} directories - 탐색할 디렉토리 목록 (우선순위 순)
+     */
+    static load(directories = []) {
+        for (const directory of directories.filter(Boolean)) {
+            const configPath = path.join(directory, CONFIG_FILE_NAME);
+            if (!fs.existsSync(configPath)) continue;
+
+            try {
+                const config = yaml.load(fs.readFileSync(configPath, 'utf8')) || {};
+                console.log(`⚙️  Loaded apidiff config: ${configPath}`);
+                return new ApiDiffConfig(config, configPath);
+            } catch (error) {
+                console.warn(`⚠️  Error reading apidiff config ${configPath}: ${error.message}`);
+                return new ApiDiffConfig();
+            }
+        }
+
+        return new ApiDiffConfig();
+    }
+
+    /**
+     * x-* 확장 필드 변경의 분류 조회
+     * @returns {'breaking' | 'informational' | 'ignored'}
+     */
+    getExtensionSignificance(name) {
+        const extensions = this.config.extensions || {};
+        const significance = extensions[name] || extensions.default || 'informational';
+
+        if (!EXTENSION_SIGNIFICANCES.includes(significance)) {
+            if (!this.warnedKeys.has(name)) {
+                this.warnedKeys.add(name);
+                console.warn(`⚠️  Unknown extension significance for ${name}: ${significance} (informational로 처리)`);
+            }
+            return 'informational';
+        }
+
+        return significance;
+    }
+
+    /**
+     * 그룹 재정의를 반영한 규칙 (severities, risk.weights, risk.importance, risk.thresholds)
+     */
+    getRules(group = null) {
+        const base = this.config.rules || {};
+        const override = (group && base.groups?.[group]) || {};
+
+        return {
+            severities: { ...(base.severities || {}), ...(override.severities || {}) },
+            weights: { ...DEFAULT_RISK_WEIGHTS, ...(base.risk?.weights || {}), ...(override.risk?.weights || {}) },
+            importance: {
+                deprecated: override.risk?.importance?.deprecated ?? base.risk?.importance?.deprecated ?? DEFAULT_RISK_IMPORTANCE.deprecated,
+                tags: { ...DEFAULT_RISK_IMPORTANCE.tags, ...(base.risk?.importance?.tags || {}), ...(override.risk?.importance?.tags || {}) },
+                groups: { ...DEFAULT_RISK_IMPORTANCE.groups, ...(base.risk?.importance?.groups || {}), ...(override.risk?.importance?.groups || {}) }
+            },
+            thresholds: {
+                ...DEFAULT_RISK_THRESHOLDS,
+                ...(base.risk?.thresholds || {}),
+                ...(override.risk?.thresholds || {})
+            },
+            removalFloor: override.risk?.removedWithoutDeprecation ?? base.risk?.removedWithoutDeprecation ?? DEFAULT_REMOVAL_RISK_FLOOR
+        };
+    }
+
+    /**
+     * 변경 유형의 분류 재정의 조회 (재정의가 없으면 null)
+     * @returns {'breaking' | 'non-breaking' | 'ignored' | null}
+     */
+    getSeverity(type, group = null) {
+        const severity = this.getRules(group).severities[type];
+        if (!severity) return null;
+
+        if (!SEVERITIES.includes(severity)) {
+            if (!this.warnedKeys.has(type)) {
+                this.warnedKeys.add(type);
+                console.warn(`⚠️  Unknown severity for ${type}: ${severity} (재정의 무시)`);
+            }
+            return null;
+        }
+
+        return severity;
+    }
+
+    getRiskWeight(type, group = null) {
+        const weight = this.getRules(group).weights[type];
+        return typeof weight === 'number' ? weight : 1;
+    }
+
+    /**
+     * 엔드포인트 중요도 배수 ({ deprecated, tags, groups })
+     */
+    getRiskImportance(group = null) {
+        return this.getRules(group).importance;
+    }
+
+    getRiskThresholds(group = null) {
+        return this.getRules(group).thresholds;
+    }
+
+    /**
+     * deprecated 예고 없는 삭제가 있을 때의 최소 위험도 (알 수 없는 값이면 경고 후 기본값)
+     * @returns {'low' | 'medium' | 'high' | 'critical'}
+     */
+    getRemovalRiskFloor(group = null) {
+        const floor = this.getRules(group).removalFloor;
+        if (RISK_LEVELS.includes(floor)) return floor;
+
+        if (!this.warnedKeys.has('removedWithoutDeprecation')) {
+            this.warnedKeys.add('removedWithoutDeprecation');
+            console.warn(`⚠️  Unknown risk level for removedWithoutDeprecation: ${floor} (기본값 ${DEFAULT_REMOVAL_RISK_FLOOR} 사용)`);
+        }
+        return DEFAULT_REMOVAL_RISK_FLOOR;
+    }
+}
+
+module.exports = ApiDiffConfig;
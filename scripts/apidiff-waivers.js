@@ -0,0 +1,110 @@
+/**
+ * 승인된 Breaking 변경 예외(waiver) 로더
+ * 소비자와 협의 후 의도적으로 배포하는 Breaking 변경을 apidiff-waivers.yaml (incoming 번들 또는 services/<name>/)에 기록하면
+ * 변경 탐지 결과에서 "acknowledged"로 표시하고 위험도 계산에서 제외
+ *
+ * 파일 예:
+ *   waivers:
+ *     - type: ENDPOINT_REMOVED       # 변경 유형 (필수)
+ *       method: DELETE               # HTTP 메서드 (엔드포인트 단위 변경이면 필수)
+ *       path: /api/v1/photos/{id}    # 경로 (엔드포인트 단위 변경이면 필수)
+ *       group: internal              # 적용할 그룹 (생략하면 모든 그룹)
+ *       reason: 사진 앱 v3 전환 완료 후 제거 합의
+ *       approver: photo-team
+ *     - type: RESPONSE_PROPERTY_REMOVED
+ *       method: GET
+ *       path: /api/v1/photos
+ *       location: response.200.photoUrl   # 스키마 위치 (같은 엔드포인트의 여러 변경 중 하나만 승인할 때)
+ *       reason: photoUrl → imageUrl 전환 완료
+ *       approver: photo-team
+ *
+ * 서버/보안 스킴/문서 확장 필드 등 문서 단위 변경을 제외한 모든 변경 유형은 method와 path를 지정해야 함
+ * (유형만 지정한 waiver가 모든 엔드포인트의 같은 변경을 승인하는 것을 방지)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+const WAIVERS_FILE_NAME = 'apidiff-waivers.yaml';
+
+/**
+ * waiver 항목의 필수 필드
+ */
+const REQUIRED_FIELDS = ['type', 'reason', 'approver'];
+
+/**
+ * 엔드포인트와 무관한 문서 단위 변경 유형 접두사 (method/path 없이 지정 가능)
+ */
+const DOCUMENT_LEVEL_TYPE_PREFIXES = ['SERVER_', 'INFO_', 'SECURITY_SCHEME_', 'OAUTH_', 'DOCUMENT_EXTENSION_', 'SCHEMA_COMPONENT_'];
+
+class ApiDiffWaivers {
+    /**
+     * @param {Array<object>} waivers - waiver 항목 목록
+     * @param {string|null} sourcePath - waiver 파일 경로 (없으면 null)
+     */
+    constructor(waivers = [], sourcePath = null) {
+        this.sourcePath = sourcePath;
+        this.waivers = (waivers || []).filter(waiver => this.isValid(waiver));
+    }
+
+    /**
+     * 후보 디렉토리 순서대로 waiver 파일을 찾아 로드 (없거나 읽을 수 없으면 빈 목록)
+     * @param {Array<string>} directories - 탐색할 디렉토리 목록 (우선순위 순)
+     */
+    static load(directories = []) {
+        for (const directory of directories.filter(Boolean)) {
+            const waiversPath = path.join(directory, WAIVERS_FILE_NAME);
+            if (!fs.existsSync(waiversPath)) continue;
+
+            try {
+                const content = yaml.load(fs.readFileSync(waiversPath, 'utf8')) || {};
+                const waivers = new ApiDiffWaivers(content.waivers, waiversPath);
+                console.log(`📝 Loaded ${waivers.waivers.length} waiver(s): ${waiversPath}`);
+                return waivers;
+            } catch (error) {
+                console.warn(`⚠️  Error reading waivers ${waiversPath}: ${error.message}`);
+                return new ApiDiffWaivers();
+            }
+        }
+
+        return new ApiDiffWaivers();
+    }
+
+    /**
+     * 필수 필드가 빠진 항목은 경고 후 제외 (승인 근거 없는 예외 방지)
+     * 엔드포인트 단위 변경 유형은 method/path도 필수 (범위 없는 waiver가 모든 엔드포인트에 적용되는 것을 방지)
+     */
+    isValid(waiver) {
+        const missing = REQUIRED_FIELDS.filter(field => !waiver || !waiver[field]);
+        if (missing.length === 0 && !this.isDocumentLevelType(waiver.type)) {
+            missing.push(...['method', 'path'].filter(field => !waiver[field]));
+        }
+        if (missing.length === 0) return true;
+
+        console.warn(`⚠️  Waiver ignored (missing ${missing.join(', ')}): ${JSON.stringify(waiver)}`);
+        return false;
+    }
+
+    isDocumentLevelType(type) {
+        return DOCUMENT_LEVEL_TYPE_PREFIXES.some(prefix => String(type).startsWith(prefix));
+    }
+
+    /**
+     * 변경사항에 해당하는 waiver 조회 (없으면 null)
+     * location/group은 waiver에 지정된 경우에만 비교 (method/path는 문서 단위 변경 유형에서만 생략 가능)
+     * @param {object} change - 탐지된 변경사항
+     * @param {string|null} group - 분석 중인 그룹 이름
+     */
+    match(change, group = null) {
+        return this.waivers.find(waiver =>
+            waiver.type === change.type &&
+            (!waiver.method || String(waiver.method).toUpperCase() === String(change.method || '').toUpperCase()) &&
+            (!waiver.path || waiver.path === change.path) &&
+            (!waiver.location || waiver.location === change.location) &&
+            (!waiver.group || waiver.group === group)
+        ) || null;
+    }
+}
+
+module.exports = ApiDiffWaivers;
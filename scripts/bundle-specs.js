@@ -0,0 +1,322 @@
+#!/usr/bin/env node
+
+/**
+ * 멀티 파일 OpenAPI 스펙 번들러
+ * paths/*.yaml, schemas/*.yaml 등으로 나뉜 스펙의 외부 상대 참조($ref: ./schemas/Photo.yaml)를 해석해
+ * 하나의 자체 완결 문서(apiDocs-all.bundled.yaml)로 원본 옆에 저장
+ *
+ * - components 슬롯에서 참조한 파일은 해당 슬롯에 인라인하고, 같은 파일을 가리키는 다른 참조는 로컬 참조로 변환
+ * - 외부 파일의 components 항목(common.yaml#/components/schemas/Error)은 같은 이름으로 components에 옮김
+ * - 그 외 참조는 인라인 (순환 참조는 components.schemas로 옮겨 로컬 참조로 끊음)
+ *
+ * 변경 탐지/엔드포인트 집계/HTML 렌더링은 번들 파일이 있으면 원본 대신 번들 파일을 사용
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const RefResolver = require('./ref-resolver.js');
+
+/**
+ * 번들 파일 이름 접미사 (apiDocs-all.yaml → apiDocs-all.bundled.yaml)
+ */
+const BUNDLED_SUFFIX = '.bundled';
+
+/**
+ * 스펙 디렉토리에서 번들 대상에서 제외하는 파일
+ */
+const NON_SPEC_FILES = ['service-metadata.json', 'changes-report.json', 'changes-report-grouped.json'];
+
+class SpecBundler {
+    /**
+     * @param {string} entryPath - 번들할 진입 스펙 파일 경로
+     */
+    constructor(entryPath) {
+        this.entryPath = path.resolve(entryPath);
+        this.documents = new Map();
+        this.refMap = new Map();
+        this.inlining = new Set();
+        this.root = null;
+    }
+
+    /**
+     * 원본 스펙 경로에 대응하는 번들 파일 경로
+     */
+    static getBundledPath(specPath) {
+        const extension = path.extname(specPath);
+        return path.join(path.dirname(specPath), `${path.basename(specPath, extension)}${BUNDLED_SUFFIX}${extension}`);
+    }
+
+    /**
+     * 번들 파일이 있으면 번들 파일 경로, 없으면 원본 경로
+     */
+    static resolveSpecPath(specPath) {
+        if (!specPath || SpecBundler.isBundledFile(specPath)) return specPath;
+
+        const bundledPath = SpecBundler.getBundledPath(specPath);
+        return fs.existsSync(bundledPath) ? bundledPath : specPath;
+    }
+
+    /**
+     * 스펙 파일을 확장자에 맞게 파싱 (.json은 JSON, 그 외 YAML)
+     */
+    static readSpecFile(filePath) {
+        const content = fs.readFileSync(filePath, 'utf8');
+        return /\.json$/i.test(filePath) ? JSON.parse(content) : yaml.load(content);
+    }
+
+    static isBundledFile(fileName) {
+        return path.basename(fileName, path.extname(fileName)).endsWith(BUNDLED_SUFFIX);
+    }
+
+    /**
+     * 진입 스펙 문서 여부 (분리된 조각 파일에는 openapi/swagger 필드가 없음)
+     */
+    static isSpecDocument(document) {
+        return !!document && typeof document === 'object' && !!(document.openapi || document.swagger);
+    }
+
+    /**
+     * 노드 트리에 외부 참조(# 으로 시작하지 않는 $ref)가 있는지 확인
+     */
+    static hasExternalRefs(node) {
+        if (!node || typeof node !== 'object') return false;
+        if (typeof node.$ref === 'string' && SpecBundler.isExternalRef(node.$ref)) return true;
+        return Object.values(node).some(child => SpecBundler.hasExternalRefs(child));
+    }
+
+    /**
+     * 로컬(#/...)이나 원격 URL이 아닌 상대 파일 참조 여부
+     */
+    static isExternalRef(ref) {
+        return !ref.startsWith('#') && !/^[a-z][a-z0-9+.-]*:\/\//i.test(ref);
+    }
+
+    /**
+     * 디렉토리의 최상위 스펙 문서 중 외부 참조가 있는 문서를 모두 번들
+     * @returns {Array<string>} 생성된 번들 파일 경로 목록
+     */
+    static bundleDirectory(specDir) {
+        if (!fs.existsSync(specDir)) {
+            console.warn(`⚠️  Spec directory not found: ${specDir}`);
+            return [];
+        }
+
+        const specFiles = fs.readdirSync(specDir)
+            .filter(file => /\.(yaml|yml|json)$/i.test(file))
+            .filter(file => !NON_SPEC_FILES.includes(file) && !SpecBundler.isBundledFile(file));
+
+        const bundledPaths = [];
+        specFiles.forEach(file => {
+            const specPath = path.join(specDir, file);
+
+            try {
+                const bundler = new SpecBundler(specPath);
+                const document = bundler.loadDocument(bundler.entryPath);
+                if (!SpecBundler.isSpecDocument(document) || !SpecBundler.hasExternalRefs(document)) return;
+
+                const bundledPath = bundler.write();
+                console.log(`📦 Bundled ${file} → ${path.basename(bundledPath)}`);
+                bundledPaths.push(bundledPath);
+            } catch (error) {
+                console.error(`❌ Error bundling ${file}: ${error.message}`);
+            }
+        });
+
+        return bundledPaths;
+    }
+
+    /**
+     * 번들 문서 생성 후 원본 옆에 저장 (원본과 같은 형식)
+     * @returns {string} 번들 파일 경로
+     */
+    write() {
+        const bundled = this.bundle();
+        const bundledPath = SpecBundler.getBundledPath(this.entryPath);
+        const content = /\.json$/i.test(this.entryPath)
+            ? JSON.stringify(bundled, null, 2)
+            : yaml.dump(bundled, { noRefs: true, lineWidth: -1 });
+
+        fs.writeFileSync(bundledPath, content, 'utf8');
+        return bundledPath;
+    }
+
+    /**
+     * 외부 참조를 모두 해석한 자체 완결 문서 반환
+     */
+    bundle() {
+        this.root = JSON.parse(JSON.stringify(this.loadDocument(this.entryPath)));
+
+        const containerPaths = this.root.swagger
+            ? ['definitions', 'parameters', 'responses'].filter(key => this.root[key]).map(key => [key])
+            : Object.keys(this.root.components || {}).map(type => ['components', type]);
+
+        // components 슬롯이 직접 참조하는 파일은 그 슬롯을 대표 위치로 먼저 등록 (다른 참조는 로컬 참조로 변환)
+        containerPaths.forEach(containerPath => {
+            const container = this.getContainer(containerPath);
+            Object.entries(container).forEach(([name, node]) => {
+                if (node && typeof node.$ref === 'string' && SpecBundler.isExternalRef(node.$ref)) {
+                    const { file, pointer } = this.splitRef(node.$ref, this.entryPath);
+                    this.refMap.set(`${file}#${pointer}`, `#/${[...containerPath, name].join('/')}`);
+                }
+            });
+        });
+
+        containerPaths.forEach(containerPath => {
+            const container = this.getContainer(containerPath);
+            Object.keys(container).forEach(name => {
+                const node = container[name];
+                if (node && typeof node.$ref === 'string' && SpecBundler.isExternalRef(node.$ref)) {
+                    const { file, pointer } = this.splitRef(node.$ref, this.entryPath);
+                    container[name] = this.bundleNode(this.lookup(file, pointer), file);
+                } else {
+                    container[name] = this.bundleNode(node, this.entryPath);
+                }
+            });
+        });
+
+        const containerKeys = new Set(containerPaths.map(containerPath => containerPath[0]));
+        Object.keys(this.root)
+            .filter(key => !containerKeys.has(key))
+            .forEach(key => {
+                this.root[key] = this.bundleNode(this.root[key], this.entryPath);
+            });
+
+        return this.root;
+    }
+
+    bundleNode(node, filePath) {
+        if (Array.isArray(node)) return node.map(item => this.bundleNode(item, filePath));
+        if (!node || typeof node !== 'object') return node;
+        if (typeof node.$ref === 'string') return this.bundleRef(node, filePath);
+
+        const result = {};
+        Object.keys(node).forEach(key => {
+            result[key] = this.bundleNode(node[key], filePath);
+        });
+        return result;
+    }
+
+    /**
+     * 참조 노드 하나를 로컬 참조 또는 인라인 내용으로 변환
+     */
+    bundleRef(node, filePath) {
+        const { $ref: ref, ...siblings } = node;
+
+        // 원격 URL과 진입 문서 내부 참조는 그대로 유지
+        if (/^[a-z][a-z0-9+.-]*:\/\//i.test(ref)) return node;
+        if (ref.startsWith('#') && filePath === this.entryPath) return node;
+
+        const { file, pointer } = this.splitRef(ref, filePath);
+        const key = `${file}#${pointer}`;
+
+        if (file === this.entryPath) return { ...siblings, $ref: `#${pointer}` };
+        if (this.refMap.has(key)) return { ...siblings, $ref: this.refMap.get(key) };
+
+        // 외부 파일의 components 항목은 같은 이름으로, 순환 참조는 스키마로 옮김
+        const componentMatch = pointer.match(/^\/(components\/[^/]+|definitions|parameters|responses)\/([^/]+)$/);
+        if (componentMatch) {
+            return { ...siblings, $ref: this.hoist(key, this.getHoistPath(componentMatch[1]), componentMatch[2], file, pointer) };
+        }
+        if (this.inlining.has(key)) {
+            return { ...siblings, $ref: this.hoist(key, this.getHoistPath('components/schemas'), this.getComponentName(file, pointer), file, pointer) };
+        }
+
+        this.inlining.add(key);
+        const target = this.bundleNode(this.lookup(file, pointer), file);
+        this.inlining.delete(key);
+
+        return target && typeof target === 'object' && !Array.isArray(target) ? { ...target, ...siblings } : target;
+    }
+
+    /**
+     * 외부 항목을 옮길 진입 문서 내 위치 (Swagger 2.0 스키마는 definitions)
+     */
+    getHoistPath(location) {
+        if (!this.root.swagger) {
+            return location.startsWith('components/') ? location.split('/') : ['components', location === 'definitions' ? 'schemas' : location];
+        }
+        return [location === 'components/schemas' ? 'definitions' : location.replace(/^components\//, '')];
+    }
+
+    getContainer(containerPath) {
+        return containerPath.reduce((node, key) => {
+            if (!node[key]) node[key] = {};
+            return node[key];
+        }, this.root);
+    }
+
+    /**
+     * 외부 대상을 진입 문서의 components로 옮기고 로컬 참조 반환
+     */
+    hoist(key, containerPath, name, file, pointer) {
+        const container = this.getContainer(containerPath);
+
+        // 다른 대상이 같은 이름을 쓰고 있으면 번호를 붙임
+        let uniqueName = name;
+        for (let index = 2; container[uniqueName] !== undefined; index++) {
+            uniqueName = `${name}${index}`;
+        }
+
+        const localRef = `#/${[...containerPath, uniqueName].join('/')}`;
+        this.refMap.set(key, localRef);
+        container[uniqueName] = {};
+        container[uniqueName] = this.bundleNode(this.lookup(file, pointer), file);
+
+        return localRef;
+    }
+
+    getComponentName(file, pointer) {
+        const segments = pointer.split('/').filter(Boolean);
+        return segments.length > 0 ? segments[segments.length - 1] : path.basename(file, path.extname(file));
+    }
+
+    /**
+     * 참조 문자열을 (절대 파일 경로, JSON Pointer)로 분리 (파일 경로는 참조가 쓰인 문서 기준 상대 경로)
+     */
+    splitRef(ref, filePath) {
+        const [filePart, fragment = ''] = ref.split('#');
+        const file = filePart ? path.resolve(path.dirname(filePath), decodeURI(filePart)) : filePath;
+        return { file, pointer: fragment };
+    }
+
+    lookup(file, pointer) {
+        const document = this.loadDocument(file);
+        if (!pointer || pointer === '/') return document;
+
+        const target = new RefResolver(document).lookup(`#${pointer}`);
+        if (target === undefined) {
+            throw new Error(`참조 대상을 찾을 수 없습니다: ${path.relative(path.dirname(this.entryPath), file)}#${pointer}`);
+        }
+        return target;
+    }
+
+    loadDocument(file) {
+        if (!this.documents.has(file)) {
+            if (!fs.existsSync(file)) {
+                throw new Error(`참조 파일을 찾을 수 없습니다: ${path.relative(path.dirname(this.entryPath), file)}`);
+            }
+
+            this.documents.set(file, SpecBundler.readSpecFile(file));
+        }
+
+        return this.documents.get(file);
+    }
+}
+
+// CLI 실행
+if (require.main === module) {
+    const specDir = process.argv[2];
+
+    if (!specDir) {
+        console.log('사용법: node bundle-specs.js <spec-dir>');
+        process.exit(1);
+    }
+
+    const bundledPaths = SpecBundler.bundleDirectory(specDir);
+    console.log(bundledPaths.length > 0
+        ? `✅ ${bundledPaths.length}개 스펙 번들 완료`
+        : '📝 외부 참조가 있는 스펙 없음 - 번들 건너뜀');
+}
+
+module.exports = SpecBundler;
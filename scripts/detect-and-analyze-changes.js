@@ -15,6 +15,8 @@ const fs = require('fs').promises;
 const fsSync = require('fs');
 const path = require('path');
 const { DynamicGroupChangeDetector } = require('./detect-changes.js');
+const ApiDiffConfig = require('./apidiff-config.js');
+const ApiDiffWaivers = require('./apidiff-waivers.js');
 
 class ChangeAnalyzer {
     /**
@@ -228,8 +230,13 @@ class ChangeAnalyzer {
         console.log('🔬 Running grouped change analysis...');
 
         try {
+            // 서비스 설정과 승인된 Breaking 변경 목록 로드 (incoming 번들 우선, 없으면 services/<name>/)
+            const configDirs = [newVersionDir, path.resolve(`services/${this.serviceName}`)];
+            const config = ApiDiffConfig.load(configDirs);
+            const waivers = ApiDiffWaivers.load(configDirs);
+
             // DynamicGroupChangeDetector 인스턴스 생성
-            const detector = new DynamicGroupChangeDetector(prevVersionDir, newVersionDir);
+            const detector = new DynamicGroupChangeDetector(prevVersionDir, newVersionDir, { config, waivers });
 
             // 모든 그룹 분석
             const groupedChanges = detector.analyzeAllGroups();
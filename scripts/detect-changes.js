@@ -8,290 +8,2476 @@
 const fs = require('fs');
 const path = require('path');
 const yaml = require('js-yaml');
+const RefResolver = require('./ref-resolver.js');
+const SchemaComparator = require('./schema-comparator.js');
+const ApiDiffConfig = require('./apidiff-config.js');
+const ApiDiffWaivers = require('./apidiff-waivers.js');
+const SwaggerNormalizer = require('./swagger-normalizer.js');
+const SpecBundler = require('./bundle-specs.js');
+
+/**
+ * Path Item에서 오퍼레이션으로 취급하는 키 (parameters, summary, servers 등은 제외)
+ */
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+
+/**
+ * operationId 없이 이동(경로 변경)으로 판단하기 위한 최소 유사도 (경로/파라미터/스키마 특징 Jaccard 유사도)
+ */
+const MOVE_SIMILARITY_THRESHOLD = 0.6;
+
+/**
+ * 이동으로 판단하기 위한 최소 경로 세그먼트 유사도 (응답 래퍼만 같은 다른 리소스 배제)
+ */
+const MOVE_PATH_SIMILARITY_THRESHOLD = 0.5;
+
+/**
+ * 삭제된 태그와 추가된 태그를 이름 변경으로 판단하기 위한 최소 오퍼레이션 겹침 비율
+ */
+const TAG_RENAME_SIMILARITY_THRESHOLD = 0.6;
+
+/**
+ * 태그가 없는 오퍼레이션을 모으는 태그 이름
+ */
+const UNTAGGED = '(untagged)';
+
+/**
+ * 위험도 순서 (그룹/태그 위험도 중 가장 높은 값을 고를 때 사용)
+ */
+const RISK_LEVEL_ORDER = ['unknown', 'low', 'medium', 'high', 'critical'];
 
 class ChangeDetector {
-    constructor(oldSpecPath, newSpecPath) {
+    /**
+     * @param {string} oldSpecPath - 이전 버전 스펙 경로
+     * @param {string} newSpecPath - 새 버전 스펙 경로
+     * @param {object} options - { config: ApiDiffConfig, waivers: ApiDiffWaivers, group: 규칙 재정의에 쓰는 그룹 이름 }
+     */
+    constructor(oldSpecPath, newSpecPath, options = {}) {
+        this.config = options.config || new ApiDiffConfig();
+        this.waivers = options.waivers || new ApiDiffWaivers();
+        this.group = options.group || null;
         this.oldSpec = this.loadSpec(oldSpecPath);
         this.newSpec = this.loadSpec(newSpecPath);
+        this.metadata = newSpecPath ? this.loadMetadata(path.dirname(newSpecPath)) : null;
+        this.oldResolver = new RefResolver(this.oldSpec);
+        this.newResolver = new RefResolver(this.newSpec);
+        this.schemaComparator = new SchemaComparator(this.oldResolver, this.newResolver);
+        this.nonBreakingChanges = new Map();
+        // 삭제 변경 → deprecate-before-remove 정책 위반 기록 (severity 재정의 시 함께 조정)
+        this.removalPolicyEntries = new Map();
         this.changes = {
             breaking: [],
             newEndpoints: [],
             modifiedEndpoints: [],
+            security: [],
+            deprecations: [],
+            sdkImpact: [],
+            schemas: [],
+            tags: [],
+            document: [],
+            warnings: [],
+            extensions: [],
             summary: {
                 breakingChanges: 0,
                 newEndpoints: 0,
                 modifiedEndpoints: 0,
-                riskLevel: 'low'
+                securityChanges: 0,
+                deprecationChanges: 0,
+                sdkImpactChanges: 0,
+                schemaChanges: 0,
+                tagChanges: 0,
+                documentChanges: 0,
+                extensionChanges: 0,
+                acknowledgedChanges: 0,
+                riskLevel: 'low',
+                riskScore: 0,
+                riskExplanation: []
+            }
+        };
+    }
+
+    /**
+     * 스펙 파일 로드 (멀티 파일 스펙은 번들 파일 사용, Swagger 2.0은 OpenAPI 3 구조로 정규화)
+     */
+    loadSpec(specPath) {
+        if (!fs.existsSync(specPath)) {
+            console.warn(`⚠️  Spec file not found: ${specPath}`);
+            return null;
+        }
+
+        const filePath = SpecBundler.resolveSpecPath(specPath);
+        if (filePath !== specPath) {
+            console.log(`📦 Using bundled spec: ${filePath}`);
+        }
+
+        try {
+            const content = fs.readFileSync(filePath, 'utf8');
+            const spec = filePath.endsWith('.yaml') || filePath.endsWith('.yml')
+                ? yaml.load(content)
+                : JSON.parse(content);
+
+            if (SwaggerNormalizer.isSwagger2(spec)) {
+                console.log(`🔄 Swagger 2.0 → OpenAPI 3 정규화: ${filePath}`);
+            }
+            return SwaggerNormalizer.normalize(spec);
+        } catch (error) {
+            console.error(`❌ Error loading spec: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * 스펙과 같은 디렉토리의 service-metadata.json 로드 (없으면 null)
+     */
+    loadMetadata(directory) {
+        const metadataPath = path.join(directory, 'service-metadata.json');
+        if (!fs.existsSync(metadataPath)) return null;
+
+        try {
+            return JSON.parse(fs.readFileSync(metadataPath, 'utf8'));
+        } catch (error) {
+            console.warn(`⚠️  Error reading metadata: ${error.message}`);
+            return null;
+        }
+    }
+
+    analyze() {
+        if (!this.oldSpec || !this.newSpec) {
+            console.log('📝 첫 번째 버전 또는 이전 버전 없음 - 변경사항 분석 건너뜀');
+            return this.changes;
+        }
+
+        console.log('🔍 API 변경사항 분석 중...');
+
+        this.detectNewEndpoints();
+        this.detectSecurityChanges();
+        this.detectDocumentChanges();
+        this.detectBreakingChanges();
+        this.detectEventChanges();
+        this.detectExtensionChanges();
+        this.applyWaivers();
+        this.detectModifiedEndpoints();
+        this.detectSdkImpact();
+        this.detectSchemaChanges();
+        this.detectTagChanges();
+        this.calculateRiskLevel();
+
+        return this.changes;
+    }
+
+    /**
+     * 이전/새 경로 짝짓기
+     * 경로가 같거나 템플릿 변수 이름만 다른 경우 (/photos/{id} ↔ /photos/{photoId}) 같은 경로로 취급
+     * @returns {Array<{oldPath: string, newPath: string}>}
+     */
+    matchPaths() {
+        if (this.pathPairs) return this.pathPairs;
+
+        const oldPaths = Object.keys(this.oldSpec.paths || {});
+        const newPaths = Object.keys(this.newSpec.paths || {});
+        const unmatchedNew = newPaths.filter(path => !oldPaths.includes(path));
+
+        this.pathPairs = [];
+        oldPaths.forEach(oldPath => {
+            if (newPaths.includes(oldPath)) {
+                this.pathPairs.push({ oldPath, newPath: oldPath });
+                return;
+            }
+
+            const template = this.normalizePathTemplate(oldPath);
+            const newPath = unmatchedNew.find(candidate => this.normalizePathTemplate(candidate) === template);
+            if (newPath) {
+                unmatchedNew.splice(unmatchedNew.indexOf(newPath), 1);
+                this.pathPairs.push({ oldPath, newPath });
+            }
+        });
+
+        return this.pathPairs;
+    }
+
+    normalizePathTemplate(path) {
+        return path.replace(/\{[^}]+\}/g, '{}');
+    }
+
+    /**
+     * 템플릿 변수 이름 변경 매핑 (이전 이름 → 새 이름)
+     */
+    getRenamedPathParameters(oldPath, newPath) {
+        const extract = (path) => (path.match(/\{[^}]+\}/g) || []).map(variable => variable.slice(1, -1));
+        const oldVariables = extract(oldPath);
+        const newVariables = extract(newPath);
+        const renamed = {};
+
+        oldVariables.forEach((variable, index) => {
+            if (newVariables[index] && newVariables[index] !== variable) {
+                renamed[variable] = newVariables[index];
+            }
+        });
+
+        return renamed;
+    }
+
+    /**
+     * 짝지어진 (이전/새) 오퍼레이션 순회
+     * @param {Function} callback - ({ oldPath, newPath, method, oldOperation, newOperation, oldPathItem, newPathItem })
+     */
+    forEachOperationPair(callback) {
+        const oldPaths = this.oldSpec.paths || {};
+        const newPaths = this.newSpec.paths || {};
+
+        this.matchPaths().forEach(({ oldPath, newPath }) => {
+            this.getOperationMethods(oldPaths[oldPath]).forEach(method => {
+                const newOperation = newPaths[newPath]?.[method];
+                if (!newOperation) return;
+
+                callback({
+                    oldPath,
+                    newPath,
+                    method,
+                    oldOperation: oldPaths[oldPath][method],
+                    newOperation,
+                    oldPathItem: oldPaths[oldPath],
+                    newPathItem: newPaths[newPath]
+                });
+            });
+        });
+
+        // 다른 경로로 이동된 오퍼레이션
+        this.matchMovedOperations().forEach(move => {
+            callback({
+                oldPath: move.oldPath,
+                newPath: move.newPath,
+                method: move.method,
+                oldOperation: oldPaths[move.oldPath][move.oldMethod],
+                newOperation: newPaths[move.newPath][move.method],
+                oldPathItem: oldPaths[move.oldPath],
+                newPathItem: newPaths[move.newPath],
+                moved: move
+            });
+        });
+    }
+
+    /**
+     * 경로가 바뀐 오퍼레이션 짝짓기 (삭제된 오퍼레이션 ↔ 추가된 오퍼레이션)
+     * operationId가 같으면 우선 짝짓고, 나머지는 같은 메서드끼리 경로 세그먼트 유사도와 경로/파라미터/스키마 유사도가 모두 기준 이상인 경우 짝지음
+     * (operationId가 양쪽에 모두 있는데 다르면 서로 다른 오퍼레이션이므로 유사도로 짝짓지 않음,
+     *  단 Spring이 중복 이름에 붙이는 _N 접미사만 다른 경우는 같은 이름으로 취급)
+     * @returns {Array<{oldPath: string, oldMethod: string, newPath: string, method: string, matchedBy: string, similarity: number}>}
+     */
+    matchMovedOperations() {
+        if (this.movedOperations) return this.movedOperations;
+
+        const removed = this.collectUnpairedOperations('old');
+        const added = this.collectUnpairedOperations('new');
+        this.movedOperations = [];
+
+        const pair = (source, target, matchedBy, similarity) => {
+            removed.splice(removed.indexOf(source), 1);
+            added.splice(added.indexOf(target), 1);
+            this.movedOperations.push({
+                oldPath: source.path,
+                oldMethod: source.method,
+                newPath: target.path,
+                method: target.method,
+                matchedBy,
+                similarity
+            });
+        };
+
+        // 1. operationId 일치
+        [...removed].forEach(source => {
+            const operationId = source.operation.operationId;
+            if (!operationId) return;
+
+            const target = added.find(candidate => candidate.operation.operationId === operationId);
+            if (target) pair(source, target, 'operationId', 1);
+        });
+
+        // 2. 같은 메서드 중 유사도가 높은 순서로 짝짓기 (operationId가 없거나 _N 접미사만 다른 경우)
+        const baseOperationId = (operation) => String(operation.operationId).replace(/_\d+$/, '');
+        const candidates = [];
+        removed.forEach(source => {
+            added.forEach(target => {
+                if (source.method !== target.method) return;
+                if (source.operation.operationId && target.operation.operationId &&
+                    baseOperationId(source.operation) !== baseOperationId(target.operation)) return;
+                if (this.calculateSimilarity(source.segments, target.segments) < MOVE_PATH_SIMILARITY_THRESHOLD) return;
+
+                const similarity = this.calculateSimilarity(source.features, target.features);
+                if (similarity >= MOVE_SIMILARITY_THRESHOLD) {
+                    candidates.push({ source, target, similarity });
+                }
+            });
+        });
+
+        candidates
+            .sort((a, b) => b.similarity - a.similarity)
+            .forEach(({ source, target, similarity }) => {
+                if (!removed.includes(source) || !added.includes(target)) return;
+                pair(source, target, 'similarity', Math.round(similarity * 100) / 100);
+            });
+
+        return this.movedOperations;
+    }
+
+    /**
+     * 경로 짝짓기로 대응되지 않은 오퍼레이션 목록 (old: 삭제 후보, new: 추가 후보)
+     */
+    collectUnpairedOperations(side) {
+        const isOld = side === 'old';
+        const paths = (isOld ? this.oldSpec : this.newSpec).paths || {};
+        const otherPaths = (isOld ? this.newSpec : this.oldSpec).paths || {};
+        const resolver = isOld ? this.oldResolver : this.newResolver;
+        const counterparts = new Map(this.matchPaths().map(({ oldPath, newPath }) =>
+            (isOld ? [oldPath, newPath] : [newPath, oldPath])
+        ));
+        const operations = [];
+
+        Object.keys(paths).forEach(path => {
+            const otherPath = counterparts.get(path);
+
+            this.getOperationMethods(paths[path]).forEach(method => {
+                if (otherPath && otherPaths[otherPath]?.[method]) return;
+
+                const operation = paths[path][method] || {};
+                operations.push({
+                    path,
+                    method,
+                    operation,
+                    segments: this.getPathSegments(path),
+                    features: this.getOperationFeatures(path, paths[path], operation, resolver)
+                });
+            });
+        });
+
+        return operations;
+    }
+
+    /**
+     * 경로 변수를 제외한 경로 세그먼트 집합 (/api/photos/{id} → api, photos)
+     */
+    getPathSegments(path) {
+        return new Set(path.split('/').filter(segment => segment && !/^\{.*\}$/.test(segment)));
+    }
+
+    /**
+     * 이동 판단용 오퍼레이션 특징 (경로 세그먼트, 파라미터, 요청/응답 스키마의 참조 이름과 최상위 속성)
+     */
+    getOperationFeatures(path, pathItem, operation, resolver) {
+        const features = new Set();
+        let pathIndex = 0;
+
+        this.getPathSegments(path).forEach(segment => features.add(`segment:${segment}`));
+
+        this.getEffectiveParameters(pathItem, operation, resolver).forEach(param => {
+            // 경로 변수는 이동 시 이름이 바뀌는 경우가 많아 순서로 비교
+            features.add(param.in === 'path' ? `path:${pathIndex++}` : this.getParameterKey(param));
+        });
+
+        const requestBody = resolver.resolve(operation.requestBody);
+        this.addSchemaFeatures(features, 'request', this.extractPrimarySchema(requestBody), resolver);
+
+        const successCode = Object.keys(operation.responses || {}).find(code => code.startsWith('2'));
+        const response = successCode && resolver.resolve(operation.responses[successCode]);
+        this.addSchemaFeatures(features, 'response', this.extractPrimarySchema(response), resolver);
+
+        return features;
+    }
+
+    addSchemaFeatures(features, prefix, schema, resolver) {
+        if (!schema) return;
+
+        const refName = resolver.getRefName(schema);
+        if (refName) features.add(`${prefix}:$ref:${refName}`);
+
+        let node = this.schemaComparator.flattenAllOf(resolver.resolve(schema), resolver) || {};
+        if (node.items) {
+            node = this.schemaComparator.flattenAllOf(resolver.resolve(node.items), resolver) || {};
+        }
+
+        Object.keys(node.properties || {}).forEach(name => features.add(`${prefix}.${name}`));
+    }
+
+    /**
+     * 두 특징 집합의 Jaccard 유사도 (특징이 없으면 판단 불가로 0)
+     */
+    calculateSimilarity(oldFeatures, newFeatures) {
+        if (oldFeatures.size === 0 || newFeatures.size === 0) return 0;
+
+        const intersection = [...oldFeatures].filter(feature => newFeatures.has(feature)).length;
+        const union = new Set([...oldFeatures, ...newFeatures]).size;
+        return intersection / union;
+    }
+
+    detectNewEndpoints() {
+        const newPaths = Object.keys(this.newSpec.paths || {});
+        const matchedOldPaths = new Map(this.matchPaths().map(({ oldPath, newPath }) => [newPath, oldPath]));
+        const movedTargets = new Set(this.matchMovedOperations().map(({ newPath, method }) => `${method} ${newPath}`));
+
+        newPaths.forEach(path => {
+            const oldPath = matchedOldPaths.get(path);
+
+            if (!oldPath) {
+                const methods = this.getOperationMethods(this.newSpec.paths[path]);
+                methods.forEach(method => {
+                    // 다른 경로에서 이동된 오퍼레이션은 ENDPOINT_MOVED로 기록
+                    if (movedTargets.has(`${method} ${path}`)) return;
+
+                    this.changes.newEndpoints.push({
+                        path,
+                        method: method.toUpperCase(),
+                        summary: this.newSpec.paths[path][method]?.summary || 'No summary'
+                    });
+                });
+            } else {
+                // 기존 경로에 새 메서드 추가된 경우
+                const oldMethods = this.getOperationMethods(this.oldSpec.paths[oldPath]);
+                const newMethods = this.getOperationMethods(this.newSpec.paths[path]);
+
+                newMethods.forEach(method => {
+                    if (!oldMethods.includes(method) && !movedTargets.has(`${method} ${path}`)) {
+                        this.changes.newEndpoints.push({
+                            path,
+                            method: method.toUpperCase(),
+                            summary: this.newSpec.paths[path][method]?.summary || 'No summary'
+                        });
+                    }
+                });
+            }
+        });
+
+        this.changes.summary.newEndpoints = this.changes.newEndpoints.length;
+    }
+
+    detectBreakingChanges() {
+        const oldPaths = this.oldSpec.paths || {};
+        const newPaths = this.newSpec.paths || {};
+        const matchedNewPaths = new Map(this.matchPaths().map(({ oldPath, newPath }) => [oldPath, newPath]));
+        const movedOperations = this.matchMovedOperations();
+        const movedSources = new Set(movedOperations.map(({ oldPath, oldMethod }) => `${oldMethod} ${oldPath}`));
+
+        Object.keys(oldPaths).forEach(path => {
+            const newPath = matchedNewPaths.get(path);
+
+            this.getOperationMethods(oldPaths[path]).forEach(method => {
+                // 다른 경로로 이동된 오퍼레이션은 ENDPOINT_MOVED로 기록
+                if (movedSources.has(`${method} ${path}`)) return;
+
+                const oldOperation = oldPaths[path][method];
+
+                if (!newPath) {
+                    // 엔드포인트 완전 삭제
+                    this.recordChange(this.applyRemovalPolicy({
+                        type: 'ENDPOINT_REMOVED',
+                        path,
+                        method: method.toUpperCase(),
+                        description: `엔드포인트가 삭제되었습니다`
+                    }, this.isOperationDeprecated(oldOperation)), true);
+                } else if (!newPaths[newPath]?.[method]) {
+                    // HTTP 메서드 삭제
+                    this.recordChange(this.applyRemovalPolicy({
+                        type: 'METHOD_REMOVED',
+                        path,
+                        method: method.toUpperCase(),
+                        description: `HTTP 메서드가 삭제되었습니다`
+                    }, this.isOperationDeprecated(oldOperation)), true);
+                }
+            });
+        });
+
+        // 엔드포인트 이동 (경로 변경)
+        movedOperations.forEach(move => {
+            const oldEndpoint = `${move.oldMethod.toUpperCase()} ${move.oldPath}`;
+            const newEndpoint = `${move.method.toUpperCase()} ${move.newPath}`;
+
+            this.recordChange({
+                type: 'ENDPOINT_MOVED',
+                path: move.newPath,
+                method: move.method.toUpperCase(),
+                oldPath: move.oldPath,
+                oldMethod: move.oldMethod.toUpperCase(),
+                newPath: move.newPath,
+                matchedBy: move.matchedBy,
+                similarity: move.similarity,
+                migrationHint: `${oldEndpoint} 호출을 ${newEndpoint}로 변경하세요`,
+                description: `엔드포인트가 이동되었습니다: ${oldEndpoint} → ${newEndpoint}`
+            }, true);
+        });
+
+        this.forEachOperationPair(pair => this.compareOperationPair(pair));
+
+        this.changes.summary.breakingChanges = this.changes.breaking.length;
+        this.changes.summary.deprecationChanges = this.changes.deprecations.length;
+    }
+
+    /**
+     * 짝지어진 오퍼레이션의 계약(파라미터, 요청 본문, 응답) 비교
+     */
+    compareOperationPair({ oldPath, newPath, method, oldOperation, newOperation, oldPathItem, newPathItem, moved }) {
+        const renamedPathParams = this.getRenamedPathParameters(oldPath, newPath);
+
+        // 오퍼레이션 deprecated 상태 변경
+        this.checkOperationDeprecation(newPath, method, oldOperation, newOperation);
+
+        // 경로 템플릿 변수 이름 변경 (요청 URL은 동일, 이동된 경우는 ENDPOINT_MOVED에 포함)
+        if (!moved) {
+            Object.entries(renamedPathParams).forEach(([before, after]) => {
+                this.recordChange({
+                    type: 'PATH_PARAMETER_RENAMED',
+                    path: newPath,
+                    method: method.toUpperCase(),
+                    previousPath: oldPath,
+                    parameter: { name: after, location: 'path' },
+                    before,
+                    after,
+                    description: `경로 변수 이름이 변경되었습니다: {${before}} → {${after}}`
+                }, false);
+            });
+        }
+
+        // 파라미터 변경 확인 (Path Item 레벨 파라미터 병합 후 비교)
+        this.checkParameterChanges(
+            newPath,
+            method,
+            this.getEffectiveParameters(oldPathItem, oldOperation, this.oldResolver),
+            this.getEffectiveParameters(newPathItem, newOperation, this.newResolver),
+            renamedPathParams
+        );
+
+        // 요청 본문 변경 확인
+        this.checkRequestBodyChanges(newPath, method, oldOperation, newOperation);
+
+        // 응답 구조 변경 확인
+        this.checkResponseChanges(newPath, method, oldOperation, newOperation);
+    }
+
+    /**
+     * webhooks(OpenAPI 3.1)와 오퍼레이션 callbacks 변경 탐지
+     * 이벤트는 우리가 송신하는 쪽이므로 호환성 방향이 반대:
+     * 페이로드는 응답 기준 (필수 필드 추가는 안전, 필드 삭제는 Breaking), 수신자의 응답은 요청 기준으로 비교
+     */
+    detectEventChanges() {
+        const oldEvents = this.getEventOperations('old');
+        const newEvents = this.getEventOperations('new');
+
+        oldEvents.forEach((oldEvent, key) => {
+            const newEvent = newEvents.get(key);
+
+            if (!newEvent) {
+                this.recordChange({
+                    type: `${oldEvent.scope}_REMOVED`,
+                    path: oldEvent.path,
+                    method: oldEvent.method.toUpperCase(),
+                    ...oldEvent.extra,
+                    description: `${oldEvent.label}이 삭제되었습니다`
+                }, true);
+                return;
+            }
+
+            this.checkEventOperationChanges(oldEvent, newEvent);
+        });
+
+        newEvents.forEach((newEvent, key) => {
+            if (oldEvents.has(key)) return;
+
+            this.changes.newEndpoints.push({
+                path: newEvent.path,
+                method: newEvent.method.toUpperCase(),
+                ...newEvent.extra,
+                summary: newEvent.operation.summary || 'No summary'
+            });
+        });
+
+        this.changes.summary.breakingChanges = this.changes.breaking.length;
+        this.changes.summary.deprecationChanges = this.changes.deprecations.length;
+        this.changes.summary.newEndpoints = this.changes.newEndpoints.length;
+    }
+
+    /**
+     * 이벤트 오퍼레이션 목록 (key: `METHOD path`)
+     * webhook은 이름을, callback은 부모 오퍼레이션 경로와 callback 이름을 경로로 사용
+     * 이전 스펙의 callback은 짝지어진 새 부모 경로 기준으로 키를 만들어 경로 변경에도 대응
+     */
+    getEventOperations(side) {
+        this.eventOperations = this.eventOperations || {};
+        if (this.eventOperations[side]) return this.eventOperations[side];
+
+        const isOld = side === 'old';
+        const spec = isOld ? this.oldSpec : this.newSpec;
+        const resolver = isOld ? this.oldResolver : this.newResolver;
+        const events = new Map();
+
+        const parentKeys = new Map();
+        if (isOld) {
+            this.forEachOperationPair(({ oldPath, newPath, method, moved }) => {
+                parentKeys.set(`${moved ? moved.oldMethod : method} ${oldPath}`, { path: newPath, method });
+            });
+        }
+
+        const addOperations = (scope, path, pathItem, extra, label) => {
+            const resolvedItem = resolver.resolve(pathItem) || {};
+
+            this.getOperationMethods(resolvedItem).forEach(method => {
+                events.set(`${method.toUpperCase()} ${path}`, {
+                    scope,
+                    path,
+                    method,
+                    operation: resolvedItem[method] || {},
+                    pathItem: resolvedItem,
+                    extra,
+                    label
+                });
+            });
+        };
+
+        Object.entries(spec.webhooks || {}).forEach(([name, pathItem]) => {
+            addOperations('WEBHOOK', name, pathItem, { kind: 'webhook', webhook: name }, `Webhook(${name})`);
+        });
+
+        Object.entries(spec.paths || {}).forEach(([path, pathItem]) => {
+            this.getOperationMethods(pathItem).forEach(method => {
+                const parent = parentKeys.get(`${method} ${path}`) || { path, method };
+
+                Object.entries(pathItem[method]?.callbacks || {}).forEach(([callbackName, callback]) => {
+                    Object.entries(resolver.resolve(callback) || {}).forEach(([expression, callbackPathItem]) => {
+                        addOperations(
+                            'CALLBACK',
+                            // 한 콜백에 런타임 표현식이 여러 개일 수 있으므로 표현식까지 키에 포함
+                            `${parent.path} (callback ${callbackName} ${expression})`,
+                            callbackPathItem,
+                            {
+                                kind: 'callback',
+                                callback: callbackName,
+                                expression,
+                                parentPath: parent.path,
+                                parentMethod: parent.method.toUpperCase()
+                            },
+                            `Callback(${callbackName})`
+                        );
+                    });
+                });
+            });
+        });
+
+        this.eventOperations[side] = events;
+        return events;
+    }
+
+    /**
+     * 짝지어진 이벤트 오퍼레이션 비교 (송신자 관점)
+     */
+    checkEventOperationChanges(oldEvent, newEvent) {
+        const { scope, path, method, extra } = newEvent;
+        const oldOperation = oldEvent.operation;
+        const newOperation = newEvent.operation;
+        const endpoint = { path, method: method.toUpperCase(), ...extra };
+
+        // 페이로드 (우리가 보내는 본문)
+        const oldBody = this.oldResolver.resolve(oldOperation.requestBody);
+        const newBody = this.newResolver.resolve(newOperation.requestBody);
+
+        if (oldBody && !newBody) {
+            this.recordChange({
+                type: `${scope}_PAYLOAD_REMOVED`,
+                ...endpoint,
+                description: '이벤트 페이로드가 삭제되었습니다'
+            }, true);
+        } else if (!oldBody && newBody) {
+            this.recordChange({
+                type: `${scope}_PAYLOAD_ADDED`,
+                ...endpoint,
+                description: '이벤트 페이로드가 추가되었습니다'
+            }, false);
+        } else if (oldBody && newBody) {
+            this.compareContent(path, method, `${scope}_PAYLOAD`, oldBody.content, newBody.content, {
+                location: 'payload',
+                direction: 'response',
+                extra,
+                label: '페이로드'
+            });
+        }
+
+        // 파라미터 (우리가 보내는 헤더 등): 삭제는 Breaking, 추가는 안전
+        const oldParams = new Map(this.getEffectiveParameters(oldEvent.pathItem, oldOperation, this.oldResolver)
+            .map(param => [this.getParameterKey(param), param]));
+        const newParams = new Map(this.getEffectiveParameters(newEvent.pathItem, newOperation, this.newResolver)
+            .map(param => [this.getParameterKey(param), param]));
+
+        oldParams.forEach((oldParam, key) => {
+            const newParam = newParams.get(key);
+            const label = `${oldParam.name} (${oldParam.in})`;
+
+            if (!newParam) {
+                this.recordChange({
+                    type: `${scope}_PARAMETER_REMOVED`,
+                    ...endpoint,
+                    parameter: { name: oldParam.name, location: oldParam.in },
+                    description: `이벤트 파라미터가 삭제되었습니다: ${label}`
+                }, true);
+                return;
+            }
+
+            const diffs = this.schemaComparator.compare(
+                this.getParameterSchema(oldParam),
+                this.getParameterSchema(newParam),
+                `parameter.${newParam.in}.${newParam.name}`,
+                { direction: 'response' }
+            );
+            this.recordSchemaDiffs(path, method, `${scope}_PARAMETER`, diffs, {
+                ...extra,
+                parameter: { name: newParam.name, location: newParam.in }
+            });
+        });
+
+        newParams.forEach((newParam, key) => {
+            if (oldParams.has(key)) return;
+
+            this.recordChange({
+                type: `${scope}_PARAMETER_ADDED`,
+                ...endpoint,
+                parameter: { name: newParam.name, location: newParam.in },
+                description: `이벤트 파라미터가 추가되었습니다: ${newParam.name} (${newParam.in})`
+            }, false);
+        });
+
+        // 수신자가 돌려주는 응답 (우리가 받는 쪽이므로 요청 기준)
+        const oldResponses = oldOperation.responses || {};
+        const newResponses = newOperation.responses || {};
+        Object.keys(oldResponses)
+            .filter(statusCode => statusCode.startsWith('2') && newResponses[statusCode])
+            .forEach(statusCode => {
+                const oldResponse = this.oldResolver.resolve(oldResponses[statusCode]) || {};
+                const newResponse = this.newResolver.resolve(newResponses[statusCode]) || {};
+
+                this.compareContent(path, method, `${scope}_RESPONSE`, oldResponse.content, newResponse.content, {
+                    location: `response.${statusCode}`,
+                    direction: 'request',
+                    extra: { ...extra, statusCode },
+                    label: '수신자 응답'
+                });
+            });
+    }
+
+    /**
+     * 오퍼레이션 deprecated 여부
+     * deprecated 플래그 외에 태그 이름에 Deprecated가 포함된 경우 (예: "사진 (Deprecated)")도 deprecated로 취급
+     */
+    isOperationDeprecated(operation) {
+        if (!operation) return false;
+        if (operation.deprecated === true) return true;
+        return (operation.tags || []).some(tag => /\bdeprecated\b/i.test(tag));
+    }
+
+    checkOperationDeprecation(path, method, oldOperation, newOperation) {
+        const wasDeprecated = this.isOperationDeprecated(oldOperation);
+        const isDeprecated = this.isOperationDeprecated(newOperation);
+        if (wasDeprecated === isDeprecated) return;
+
+        this.recordDeprecationChange({
+            type: isDeprecated ? 'OPERATION_DEPRECATED' : 'OPERATION_UNDEPRECATED',
+            path,
+            method: method.toUpperCase(),
+            description: isDeprecated
+                ? '엔드포인트가 deprecated 되었습니다'
+                : '엔드포인트의 deprecated가 해제되었습니다'
+        }, false);
+    }
+
+    /**
+     * deprecation 변경사항 기록 (deprecations 목록 + 엔드포인트 modified 분류)
+     */
+    recordDeprecationChange(change, isBreaking) {
+        const severity = this.resolveSeverity(change, isBreaking);
+        if (severity === 'ignored') return;
+
+        this.changes.deprecations.push(change);
+        this.placeChange(change, severity === 'breaking');
+    }
+
+    /**
+     * 삭제 변경에 deprecate-before-remove 정책 적용
+     * deprecated 되지 않았던 항목의 삭제는 severity high로 표시하고 정책 위반으로 deprecations 목록에 기록
+     */
+    applyRemovalPolicy(change, wasDeprecated) {
+        change.deprecatedBeforeRemoval = wasDeprecated;
+        change.severity = wasDeprecated ? 'low' : 'high';
+
+        if (!wasDeprecated) {
+            const entry = {
+                ...change,
+                type: 'REMOVED_WITHOUT_DEPRECATION',
+                removedType: change.type,
+                description: `deprecated 예고 없이 삭제되었습니다 (${change.type}${change.location ? `: ${change.location}` : ''})`
+            };
+            this.changes.deprecations.push(entry);
+            this.removalPolicyEntries.set(change, entry);
+        }
+
+        return change;
+    }
+
+    /**
+     * 보안 변경사항 탐지 (securitySchemes 정의 + 오퍼레이션별 security 요구사항)
+     * 보안 리뷰를 위해 모든 변경을 security 목록에 모으고, Breaking 변경은 breaking 목록에도 기록
+     */
+    detectSecurityChanges() {
+        this.checkSecuritySchemes();
+
+        this.forEachOperationPair(({ newPath, method, oldOperation, newOperation }) => {
+            this.checkOperationSecurity(newPath, method, oldOperation, newOperation);
+        });
+
+        this.changes.summary.securityChanges = this.changes.security.length;
+    }
+
+    /**
+     * 문서 레벨 변경 탐지 (servers, info)
+     */
+    detectDocumentChanges() {
+        this.checkServerChanges();
+        this.checkInfoChanges();
+
+        this.changes.summary.documentChanges = this.changes.document.length;
+    }
+
+    /**
+     * servers 비교 (URL 기준으로 짝지어 설명, 변수 비교)
+     * 삭제된 서버 URL은 해당 URL을 쓰는 소비자에게 Breaking
+     */
+    checkServerChanges() {
+        const normalizeUrl = (url) => String(url || '').replace(/\/+$/, '');
+        const oldServers = this.oldSpec.servers || [];
+        const newServers = this.newSpec.servers || [];
+        const findServer = (servers, url) => servers.find(server => normalizeUrl(server.url) === normalizeUrl(url));
+
+        oldServers.forEach(oldServer => {
+            const newServer = findServer(newServers, oldServer.url);
+
+            if (!newServer) {
+                this.recordDocumentChange({
+                    type: 'SERVER_REMOVED',
+                    server: oldServer.url,
+                    description: `서버가 삭제되었습니다: ${oldServer.url}`
+                }, true);
+                return;
+            }
+
+            if ((oldServer.description || '') !== (newServer.description || '')) {
+                this.recordDocumentChange({
+                    type: 'SERVER_DESCRIPTION_CHANGED',
+                    server: newServer.url,
+                    before: oldServer.description || null,
+                    after: newServer.description || null,
+                    description: `서버 설명이 변경되었습니다: ${newServer.url}`
+                }, false);
+            }
+
+            this.checkServerVariables(newServer.url, oldServer.variables || {}, newServer.variables || {});
+        });
+
+        newServers
+            .filter(newServer => !findServer(oldServers, newServer.url))
+            .forEach(newServer => {
+                this.recordDocumentChange({
+                    type: 'SERVER_ADDED',
+                    server: newServer.url,
+                    description: `서버가 추가되었습니다: ${newServer.url}`
+                }, false);
+            });
+    }
+
+    checkServerVariables(server, oldVariables, newVariables) {
+        Object.keys(oldVariables).forEach(name => {
+            const oldVariable = oldVariables[name] || {};
+            const newVariable = newVariables[name];
+
+            if (!newVariable) {
+                this.recordDocumentChange({
+                    type: 'SERVER_VARIABLE_REMOVED',
+                    server,
+                    variable: name,
+                    description: `서버 변수가 삭제되었습니다: ${server} {${name}}`
+                }, false);
+                return;
+            }
+
+            const oldEnum = JSON.stringify(oldVariable.enum || []);
+            const newEnum = JSON.stringify(newVariable.enum || []);
+            if (oldVariable.default !== newVariable.default || oldEnum !== newEnum) {
+                this.recordDocumentChange({
+                    type: 'SERVER_VARIABLE_CHANGED',
+                    server,
+                    variable: name,
+                    before: { default: oldVariable.default, enum: oldVariable.enum },
+                    after: { default: newVariable.default, enum: newVariable.enum },
+                    description: `서버 변수가 변경되었습니다: ${server} {${name}}`
+                }, false);
+            }
+        });
+
+        Object.keys(newVariables)
+            .filter(name => !oldVariables[name])
+            .forEach(name => {
+                this.recordDocumentChange({
+                    type: 'SERVER_VARIABLE_ADDED',
+                    server,
+                    variable: name,
+                    description: `서버 변수가 추가되었습니다: ${server} {${name}}`
+                }, false);
+            });
+    }
+
+    /**
+     * info 비교 및 service-metadata.json 버전과의 불일치 경고
+     */
+    checkInfoChanges() {
+        const oldInfo = this.oldSpec.info || {};
+        const newInfo = this.newSpec.info || {};
+        const fields = [
+            { key: 'title', type: 'INFO_TITLE_CHANGED', label: '제목' },
+            { key: 'version', type: 'INFO_VERSION_CHANGED', label: '버전' },
+            { key: 'description', type: 'INFO_DESCRIPTION_CHANGED', label: '설명' }
+        ];
+
+        fields.forEach(({ key, type, label }) => {
+            if ((oldInfo[key] || '') === (newInfo[key] || '')) return;
+
+            this.recordDocumentChange({
+                type,
+                before: oldInfo[key] || null,
+                after: newInfo[key] || null,
+                description: key === 'description'
+                    ? `API ${label}이 변경되었습니다`
+                    : `API ${label}이 변경되었습니다: ${oldInfo[key] || '(없음)'} → ${newInfo[key] || '(없음)'}`
+            }, false);
+        });
+
+        // 버전 표기는 v 접두사 유무만 다른 경우 같은 버전으로 취급
+        const normalizeVersion = (version) => String(version).trim().replace(/^v/i, '');
+        const metadataVersion = this.metadata?.version;
+        if (metadataVersion && newInfo.version && normalizeVersion(metadataVersion) !== normalizeVersion(newInfo.version)) {
+            const warning = {
+                type: 'INFO_VERSION_MISMATCH',
+                specVersion: newInfo.version,
+                metadataVersion,
+                description: `info.version(${newInfo.version})이 service-metadata.json 버전(${metadataVersion})과 다릅니다`
+            };
+            this.changes.warnings.push(warning);
+            console.warn(`⚠️  ${warning.description}`);
+        }
+    }
+
+    /**
+     * x-* 확장 필드 변경 탐지 (문서/info, Path Item/오퍼레이션 레벨)
+     * 스키마 레벨 확장 필드는 스키마 비교 중 recordSchemaDiffs를 통해 기록됨
+     */
+    detectExtensionChanges() {
+        const comparator = this.schemaComparator;
+        const labels = { added: '추가', removed: '삭제', changed: '변경' };
+
+        const record = (type, target, diffs, endpoint = {}) => {
+            diffs.forEach(({ extension, change, before, after }) => {
+                this.recordExtensionChange({
+                    type: `${type}_${change.toUpperCase()}`,
+                    ...endpoint,
+                    extension,
+                    before,
+                    after,
+                    description: `확장 필드가 ${labels[change]}되었습니다: ${target} ${extension}`
+                });
+            });
+        };
+
+        record('DOCUMENT_EXTENSION', 'document', comparator.diffExtensions(this.oldSpec, this.newSpec));
+        record('DOCUMENT_EXTENSION', 'info', comparator.diffExtensions(this.oldSpec.info, this.newSpec.info));
+
+        this.forEachOperationPair(({ newPath, method, oldOperation, newOperation, oldPathItem, newPathItem }) => {
+            const endpoint = { path: newPath, method: method.toUpperCase() };
+
+            record('OPERATION_EXTENSION', 'path', comparator.diffExtensions(oldPathItem, newPathItem), endpoint);
+            record('OPERATION_EXTENSION', 'operation', comparator.diffExtensions(oldOperation, newOperation), endpoint);
+        });
+
+        this.changes.summary.breakingChanges = this.changes.breaking.length;
+        this.changes.summary.extensionChanges = this.changes.extensions.length;
+    }
+
+    /**
+     * 확장 필드 변경 기록 (설정의 extensions 분류에 따라 breaking/informational/ignored 처리)
+     */
+    recordExtensionChange(change) {
+        const significance = this.config.getExtensionSignificance(change.extension);
+        if (significance === 'ignored') return;
+
+        const severity = this.resolveSeverity(change, significance === 'breaking');
+        if (severity === 'ignored') return;
+
+        change.significance = significance;
+        this.changes.extensions.push(change);
+        this.placeChange(change, severity === 'breaking');
+    }
+
+    /**
+     * 문서 레벨 변경사항 기록 (Breaking이면 breaking 목록에도 추가)
+     */
+    recordDocumentChange(change, isBreaking) {
+        const severity = this.resolveSeverity(change, isBreaking);
+        if (severity === 'ignored') return;
+
+        this.changes.document.push({ ...change, breaking: severity === 'breaking' });
+        this.placeChange(change, severity === 'breaking');
+    }
+
+    /**
+     * components.securitySchemes 비교
+     */
+    checkSecuritySchemes() {
+        const oldSchemes = this.oldSpec.components?.securitySchemes || {};
+        const newSchemes = this.newSpec.components?.securitySchemes || {};
+
+        Object.keys(oldSchemes).forEach(name => {
+            const oldScheme = this.oldResolver.resolve(oldSchemes[name]) || {};
+            const newScheme = newSchemes[name] && this.newResolver.resolve(newSchemes[name]);
+
+            if (!newScheme) {
+                this.recordSecurityChange({
+                    type: 'SECURITY_SCHEME_REMOVED',
+                    scheme: name,
+                    description: `보안 스킴이 삭제되었습니다: ${name}`
+                }, true);
+                return;
+            }
+
+            // 인증 방식 자체를 바꾸는 필드는 Breaking
+            ['type', 'scheme', 'in', 'name', 'openIdConnectUrl'].forEach(field => {
+                if (oldScheme[field] === newScheme[field]) return;
+
+                this.recordSecurityChange({
+                    type: 'SECURITY_SCHEME_CHANGED',
+                    scheme: name,
+                    field,
+                    before: oldScheme[field],
+                    after: newScheme[field],
+                    description: `보안 스킴 ${name}의 ${field}가 변경되었습니다: ${oldScheme[field] || '없음'} → ${newScheme[field] || '없음'}`
+                }, true);
+            });
+
+            this.checkOAuthFlows(name, oldScheme.flows || {}, newScheme.flows || {});
+        });
+
+        Object.keys(newSchemes).forEach(name => {
+            if (oldSchemes[name]) return;
+
+            this.recordSecurityChange({
+                type: 'SECURITY_SCHEME_ADDED',
+                scheme: name,
+                description: `보안 스킴이 추가되었습니다: ${name}`
+            }, false);
+        });
+    }
+
+    /**
+     * OAuth2 flows 비교 (flow 삭제, URL 변경, scope 추가/삭제)
+     */
+    checkOAuthFlows(scheme, oldFlows, newFlows) {
+        Object.keys(oldFlows).forEach(flowName => {
+            const oldFlow = oldFlows[flowName] || {};
+            const newFlow = newFlows[flowName];
+
+            if (!newFlow) {
+                this.recordSecurityChange({
+                    type: 'OAUTH_FLOW_REMOVED',
+                    scheme,
+                    flow: flowName,
+                    description: `OAuth flow가 삭제되었습니다: ${scheme}.${flowName}`
+                }, true);
+                return;
+            }
+
+            ['authorizationUrl', 'tokenUrl', 'refreshUrl'].forEach(field => {
+                if (oldFlow[field] === newFlow[field]) return;
+
+                this.recordSecurityChange({
+                    type: 'OAUTH_FLOW_URL_CHANGED',
+                    scheme,
+                    flow: flowName,
+                    field,
+                    before: oldFlow[field],
+                    after: newFlow[field],
+                    description: `OAuth ${scheme}.${flowName}의 ${field}가 변경되었습니다`
+                }, true);
+            });
+
+            const oldScopes = Object.keys(oldFlow.scopes || {});
+            const newScopes = Object.keys(newFlow.scopes || {});
+
+            oldScopes.filter(scope => !newScopes.includes(scope)).forEach(scope => {
+                this.recordSecurityChange({
+                    type: 'OAUTH_SCOPE_REMOVED',
+                    scheme,
+                    flow: flowName,
+                    scope,
+                    description: `OAuth scope가 삭제되었습니다: ${scheme}.${flowName} (${scope})`
+                }, true);
+            });
+
+            newScopes.filter(scope => !oldScopes.includes(scope)).forEach(scope => {
+                this.recordSecurityChange({
+                    type: 'OAUTH_SCOPE_ADDED',
+                    scheme,
+                    flow: flowName,
+                    scope,
+                    description: `OAuth scope가 추가되었습니다: ${scheme}.${flowName} (${scope})`
+                }, false);
+            });
+        });
+
+        Object.keys(newFlows).forEach(flowName => {
+            if (oldFlows[flowName]) return;
+
+            this.recordSecurityChange({
+                type: 'OAUTH_FLOW_ADDED',
+                scheme,
+                flow: flowName,
+                description: `OAuth flow가 추가되었습니다: ${scheme}.${flowName}`
+            }, false);
+        });
+    }
+
+    /**
+     * 오퍼레이션 security 요구사항 비교
+     * security 배열의 각 항목은 대안(OR), 항목 내부 스킴은 모두 필요(AND)
+     */
+    checkOperationSecurity(path, method, oldOperation, newOperation) {
+        const endpoint = { path, method: method.toUpperCase() };
+        const oldRequirements = this.getEffectiveSecurity(oldOperation, this.oldSpec);
+        const newRequirements = this.getEffectiveSecurity(newOperation, this.newSpec);
+        const wasPublic = this.isPublicSecurity(oldRequirements);
+        const isPublic = this.isPublicSecurity(newRequirements);
+
+        if (wasPublic && !isPublic) {
+            this.recordSecurityChange({
+                type: 'ENDPOINT_REQUIRES_AUTH',
+                ...endpoint,
+                after: newRequirements,
+                description: '인증이 필요한 엔드포인트로 변경되었습니다'
+            }, true);
+            return;
+        }
+
+        if (!wasPublic && isPublic) {
+            this.recordSecurityChange({
+                type: 'ENDPOINT_BECAME_PUBLIC',
+                ...endpoint,
+                before: oldRequirements,
+                description: '인증 없이 호출 가능한 공개 엔드포인트로 변경되었습니다'
+            }, false);
+            return;
+        }
+
+        const requirementKey = (requirement) => Object.keys(requirement).sort().join('+');
+        const newByKey = new Map(newRequirements.map(requirement => [requirementKey(requirement), requirement]));
+        const oldKeys = oldRequirements.map(requirementKey);
+
+        oldRequirements.forEach(oldRequirement => {
+            const key = requirementKey(oldRequirement);
+            const newRequirement = newByKey.get(key);
+
+            if (!newRequirement) {
+                this.recordSecurityChange({
+                    type: 'SECURITY_REQUIREMENT_CHANGED',
+                    ...endpoint,
+                    before: oldRequirement,
+                    description: `기존 인증 방식이 더 이상 허용되지 않습니다: ${key || '(없음)'}`
+                }, true);
+                return;
+            }
+
+            Object.keys(newRequirement).forEach(scheme => {
+                const oldScopes = oldRequirement[scheme] || [];
+                const newScopes = newRequirement[scheme] || [];
+
+                newScopes.filter(scope => !oldScopes.includes(scope)).forEach(scope => {
+                    this.recordSecurityChange({
+                        type: 'SECURITY_SCOPE_ADDED',
+                        ...endpoint,
+                        scheme,
+                        scope,
+                        description: `필요한 scope가 추가되었습니다: ${scheme} (${scope})`
+                    }, true);
+                });
+
+                oldScopes.filter(scope => !newScopes.includes(scope)).forEach(scope => {
+                    this.recordSecurityChange({
+                        type: 'SECURITY_SCOPE_REMOVED',
+                        ...endpoint,
+                        scheme,
+                        scope,
+                        description: `필요한 scope가 삭제되었습니다: ${scheme} (${scope})`
+                    }, false);
+                });
+            });
+        });
+
+        newRequirements.forEach(newRequirement => {
+            const key = requirementKey(newRequirement);
+            if (oldKeys.includes(key)) return;
+
+            this.recordSecurityChange({
+                type: 'SECURITY_ALTERNATIVE_ADDED',
+                ...endpoint,
+                after: newRequirement,
+                description: `새 인증 방식이 허용되었습니다: ${key}`
+            }, false);
+        });
+    }
+
+    /**
+     * 오퍼레이션에 적용되는 security (오퍼레이션 선언이 없으면 문서 전역 security)
+     */
+    getEffectiveSecurity(operation, spec) {
+        return operation.security !== undefined ? operation.security : (spec.security || []);
+    }
+
+    /**
+     * 인증 없이 호출 가능한지 여부 (요구사항이 없거나 빈 요구사항 {}이 대안으로 포함된 경우)
+     */
+    isPublicSecurity(requirements) {
+        return requirements.length === 0 || requirements.some(requirement => Object.keys(requirement).length === 0);
+    }
+
+    /**
+     * 보안 변경사항 기록
+     * 모든 변경은 security 목록에, 오퍼레이션 단위 변경은 breaking/modified 분류에도 반영
+     */
+    recordSecurityChange(change, isBreaking) {
+        const severity = this.resolveSeverity(change, isBreaking);
+        if (severity === 'ignored') return;
+
+        this.changes.security.push({ ...change, breaking: severity === 'breaking' });
+        this.placeChange(change, severity === 'breaking');
+    }
+
+    /**
+     * 파라미터 변경 확인
+     * 추가/삭제, 필수 여부 변경, 위치(in) 이동, 스키마(type/format) 변경, style/explode 변경을 분류
+     * @param {Array<object>} oldParameters - 이전 오퍼레이션의 유효 파라미터
+     * @param {Array<object>} newParameters - 새 오퍼레이션의 유효 파라미터
+     * @param {object} renamedPathParams - 경로 템플릿 변수 이름 변경 매핑 (이전 이름 → 새 이름)
+     */
+    checkParameterChanges(path, method, oldParameters, newParameters, renamedPathParams = {}) {
+        const endpoint = { path, method: method.toUpperCase() };
+        const oldParams = this.indexParameters(oldParameters, this.oldResolver, renamedPathParams);
+        const newParams = this.indexParameters(newParameters, this.newResolver);
+        const relocatedKeys = new Set();
+
+        oldParams.forEach((oldParam, key) => {
+            const newParam = newParams.get(key);
+
+            if (newParam) {
+                this.compareParameterDetails(endpoint, oldParam, newParam);
+                return;
+            }
+
+            // 같은 이름의 파라미터가 다른 위치로 이동 (예: query → header)
+            const relocated = [...newParams.values()].find(candidate =>
+                candidate.name === oldParam.name && !oldParams.has(this.getParameterKey(candidate))
+            );
+
+            if (relocated) {
+                relocatedKeys.add(this.getParameterKey(relocated));
+                this.recordChange({
+                    type: 'PARAMETER_LOCATION_CHANGED',
+                    ...endpoint,
+                    parameter: { name: relocated.name, location: relocated.in },
+                    before: oldParam.in,
+                    after: relocated.in,
+                    description: `파라미터 위치가 변경되었습니다: ${oldParam.name} (${oldParam.in} → ${relocated.in})`
+                }, true);
+                this.compareParameterDetails(endpoint, oldParam, relocated);
+                return;
+            }
+
+            this.recordChange(this.applyRemovalPolicy({
+                type: 'PARAMETER_REMOVED',
+                ...endpoint,
+                parameter: { name: oldParam.name, location: oldParam.in },
+                description: `파라미터가 삭제되었습니다: ${oldParam.name} (${oldParam.in})`
+            }, !!oldParam.deprecated), true);
+        });
+
+        newParams.forEach((newParam, key) => {
+            if (oldParams.has(key) || relocatedKeys.has(key)) return;
+
+            const parameter = { name: newParam.name, location: newParam.in };
+
+            if (newParam.required) {
+                this.recordChange({
+                    type: 'REQUIRED_PARAMETER_ADDED',
+                    ...endpoint,
+                    parameter,
+                    description: `필수 파라미터가 추가되었습니다: ${newParam.name} (${newParam.in})`
+                }, true);
+            } else {
+                this.recordChange({
+                    type: 'OPTIONAL_PARAMETER_ADDED',
+                    ...endpoint,
+                    parameter,
+                    description: `선택 파라미터가 추가되었습니다: ${newParam.name} (${newParam.in})`
+                }, false);
+            }
+        });
+    }
+
+    /**
+     * 짝지어진 파라미터의 세부 비교 (필수 여부, 직렬화 방식, 스키마)
+     */
+    compareParameterDetails(endpoint, oldParam, newParam) {
+        const parameter = { name: newParam.name, location: newParam.in };
+        const label = `${newParam.name} (${newParam.in})`;
+
+        if (!!oldParam.deprecated !== !!newParam.deprecated) {
+            this.recordDeprecationChange({
+                type: newParam.deprecated ? 'PARAMETER_DEPRECATED' : 'PARAMETER_UNDEPRECATED',
+                ...endpoint,
+                parameter,
+                description: newParam.deprecated
+                    ? `파라미터가 deprecated 되었습니다: ${label}`
+                    : `파라미터의 deprecated가 해제되었습니다: ${label}`
+            }, false);
+        }
+
+        if (!oldParam.required && newParam.required) {
+            this.recordChange({
+                type: 'PARAMETER_BECAME_REQUIRED',
+                ...endpoint,
+                parameter,
+                description: `파라미터가 필수로 변경되었습니다: ${label}`
+            }, true);
+        } else if (oldParam.required && !newParam.required) {
+            this.recordChange({
+                type: 'PARAMETER_BECAME_OPTIONAL',
+                ...endpoint,
+                parameter,
+                description: `파라미터가 선택으로 변경되었습니다: ${label}`
+            }, false);
+        }
+
+        // 위치가 바뀐 파라미터는 기본 style이 달라지므로 직렬화 비교 생략
+        const sameLocation = oldParam.in === newParam.in;
+
+        const oldStyle = this.getParameterStyle(oldParam);
+        const newStyle = this.getParameterStyle(newParam);
+        if (sameLocation && oldStyle !== newStyle) {
+            this.recordChange({
+                type: 'PARAMETER_STYLE_CHANGED',
+                ...endpoint,
+                parameter,
+                before: oldStyle,
+                after: newStyle,
+                description: `파라미터 직렬화 style이 변경되었습니다: ${label} (${oldStyle} → ${newStyle})`
+            }, true);
+        }
+
+        const oldExplode = this.getParameterExplode(oldParam);
+        const newExplode = this.getParameterExplode(newParam);
+        if (sameLocation && oldExplode !== newExplode) {
+            this.recordChange({
+                type: 'PARAMETER_EXPLODE_CHANGED',
+                ...endpoint,
+                parameter,
+                before: oldExplode,
+                after: newExplode,
+                description: `파라미터 explode 설정이 변경되었습니다: ${label} (${oldExplode} → ${newExplode})`
+            }, true);
+        }
+
+        const diffs = this.schemaComparator.compare(
+            this.getParameterSchema(oldParam),
+            this.getParameterSchema(newParam),
+            `parameter.${newParam.in}.${newParam.name}`,
+            { direction: 'request' }
+        );
+        this.recordSchemaDiffs(endpoint.path, endpoint.method, 'PARAMETER', diffs, { parameter });
+    }
+
+    /**
+     * 파라미터 목록을 in:name 키로 색인 ($ref 해석, 경로 변수 이름 변경 반영)
+     */
+    indexParameters(parameters, resolver, renamedPathParams = {}) {
+        const indexed = new Map();
+
+        (parameters || []).forEach(param => {
+            const resolved = resolver.resolve(param);
+            if (!resolved || !resolved.name) return;
+
+            const name = resolved.in === 'path' && renamedPathParams[resolved.name]
+                ? renamedPathParams[resolved.name]
+                : resolved.name;
+            const normalized = { ...resolved, name };
+
+            indexed.set(this.getParameterKey(normalized), normalized);
+        });
+
+        return indexed;
+    }
+
+    /**
+     * Path Item 레벨 파라미터와 오퍼레이션 레벨 파라미터를 병합한 유효 파라미터 목록
+     * 같은 name+in 조합은 오퍼레이션 레벨이 우선
+     */
+    getEffectiveParameters(pathItem, operation, resolver) {
+        const merged = new Map();
+
+        [...(pathItem?.parameters || []), ...(operation?.parameters || [])].forEach(param => {
+            const resolved = resolver.resolve(param);
+            if (!resolved || !resolved.name) return;
+
+            merged.set(this.getParameterKey(resolved), resolved);
+        });
+
+        return [...merged.values()];
+    }
+
+    getOperationMethods(pathItem) {
+        return Object.keys(pathItem || {}).filter(key => HTTP_METHODS.includes(key.toLowerCase()));
+    }
+
+    /**
+     * 파라미터 식별 키 (header 파라미터는 대소문자 구분 없이, cookie 등 나머지는 이름 그대로 비교)
+     */
+    getParameterKey(param) {
+        const name = param.in === 'header' ? String(param.name).toLowerCase() : param.name;
+        return `${param.in}:${name}`;
+    }
+
+    getParameterSchema(param) {
+        if (param.schema) return param.schema;
+
+        const mediaTypes = Object.values(param.content || {});
+        return mediaTypes.length > 0 ? mediaTypes[0].schema : undefined;
+    }
+
+    /**
+     * 파라미터 style (미지정 시 위치별 기본값: query/cookie → form, path/header → simple)
+     */
+    getParameterStyle(param) {
+        if (param.style) return param.style;
+        return ['query', 'cookie'].includes(param.in) ? 'form' : 'simple';
+    }
+
+    getParameterExplode(param) {
+        if (typeof param.explode === 'boolean') return param.explode;
+        return this.getParameterStyle(param) === 'form';
+    }
+
+    /**
+     * 요청 본문(requestBody) 변경 확인
+     * 본문 추가/삭제, required 변경, 미디어 타입 삭제, 스키마 변경을 탐지
+     */
+    checkRequestBodyChanges(path, method, oldOperation, newOperation) {
+        const oldBody = this.oldResolver.resolve(oldOperation.requestBody);
+        const newBody = this.newResolver.resolve(newOperation.requestBody);
+        const endpoint = { path, method: method.toUpperCase() };
+
+        if (!oldBody && !newBody) return;
+
+        if (!oldBody) {
+            this.recordChange({
+                type: 'REQUEST_BODY_ADDED',
+                ...endpoint,
+                required: !!newBody.required,
+                description: newBody.required
+                    ? '필수 요청 본문이 추가되었습니다'
+                    : '선택 요청 본문이 추가되었습니다'
+            }, !!newBody.required);
+            return;
+        }
+
+        if (!newBody) {
+            this.recordChange({
+                type: 'REQUEST_BODY_REMOVED',
+                ...endpoint,
+                description: '요청 본문이 삭제되었습니다'
+            }, true);
+            return;
+        }
+
+        if (!oldBody.required && newBody.required) {
+            this.recordChange({
+                type: 'REQUEST_BODY_BECAME_REQUIRED',
+                ...endpoint,
+                description: '요청 본문이 필수로 변경되었습니다'
+            }, true);
+        } else if (oldBody.required && !newBody.required) {
+            this.recordChange({
+                type: 'REQUEST_BODY_BECAME_OPTIONAL',
+                ...endpoint,
+                description: '요청 본문이 선택으로 변경되었습니다'
+            }, false);
+        }
+
+        this.compareContent(path, method, 'REQUEST', oldBody.content, newBody.content, {
+            location: 'request',
+            direction: 'request'
+        });
+    }
+
+    checkResponseChanges(path, method, oldOperation, newOperation) {
+        const oldResponses = oldOperation.responses || {};
+        const newResponses = newOperation.responses || {};
+
+        // 선언된 상태 코드 집합 변경 확인
+        this.checkStatusCodeChanges(path, method, oldResponses, newResponses);
+
+        Object.keys(oldResponses).forEach(statusCode => {
+            if (!newResponses[statusCode]) return;
+
+            const oldResponse = this.oldResolver.resolve(oldResponses[statusCode]) || {};
+            const newResponse = this.newResolver.resolve(newResponses[statusCode]) || {};
+
+            // 응답 헤더 변경 확인 (에러 응답의 Retry-After 등도 포함하므로 모든 상태 코드 대상)
+            this.checkResponseHeaderChanges(path, method, statusCode, oldResponse.headers, newResponse.headers);
+
+            // 성공 응답 (2xx) 구조 변경 확인
+            if (!statusCode.startsWith('2')) return;
+
+            // Swagger 2.0 스타일 (content 없이 schema 직접 선언)
+            if (!oldResponse.content && !newResponse.content) {
+                const diffs = this.schemaComparator.compare(oldResponse.schema, newResponse.schema, `response.${statusCode}`, {
+                    direction: 'response'
+                });
+                this.recordSchemaDiffs(path, method, 'RESPONSE', diffs, { statusCode });
+                return;
+            }
+
+            this.compareContent(path, method, 'RESPONSE', oldResponse.content, newResponse.content, {
+                location: `response.${statusCode}`,
+                direction: 'response',
+                extra: { statusCode }
+            });
+        });
+    }
+
+    /**
+     * 응답 헤더 변경 확인 (페이지네이션, rate-limit 정보 등)
+     * 헤더 이름은 대소문자를 구분하지 않으며, 헤더 삭제와 스키마 변경은 Breaking, 헤더 추가는 정보성 변경
+     */
+    checkResponseHeaderChanges(path, method, statusCode, oldHeaders, newHeaders) {
+        const endpoint = { path, method: method.toUpperCase(), statusCode };
+        const oldIndex = this.indexHeaders(oldHeaders, this.oldResolver);
+        const newIndex = this.indexHeaders(newHeaders, this.newResolver);
+
+        oldIndex.forEach(({ name, header: oldHeader }, key) => {
+            const matched = newIndex.get(key);
+
+            if (!matched) {
+                this.recordChange(this.applyRemovalPolicy({
+                    type: 'RESPONSE_HEADER_REMOVED',
+                    ...endpoint,
+                    header: name,
+                    description: `응답 헤더가 삭제되었습니다: ${name} (${statusCode})`
+                }, !!oldHeader.deprecated), true);
+                return;
+            }
+
+            const newHeader = matched.header;
+
+            if (oldHeader.required === true && newHeader.required !== true) {
+                this.recordChange({
+                    type: 'RESPONSE_HEADER_BECAME_OPTIONAL',
+                    ...endpoint,
+                    header: name,
+                    description: `응답 헤더가 선택 항목으로 변경되었습니다: ${name} (${statusCode})`
+                }, true);
+            }
+
+            const diffs = this.schemaComparator.compare(
+                this.getParameterSchema(oldHeader),
+                this.getParameterSchema(newHeader),
+                `response.${statusCode}.header.${name}`,
+                { direction: 'response' }
+            ).map(diff => (diff.category === 'deprecation' ? diff : { ...diff, breaking: true }));
+
+            this.recordSchemaDiffs(path, method, 'RESPONSE_HEADER', diffs, { statusCode, header: name });
+        });
+
+        newIndex.forEach(({ name }, key) => {
+            if (oldIndex.has(key)) return;
+
+            this.recordChange({
+                type: 'RESPONSE_HEADER_ADDED',
+                ...endpoint,
+                header: name,
+                description: `응답 헤더가 추가되었습니다: ${name} (${statusCode})`
+            }, false);
+        });
+    }
+
+    /**
+     * 응답 헤더를 소문자 이름 기준으로 인덱싱 ($ref 해석 포함)
+     */
+    indexHeaders(headers, resolver) {
+        const indexed = new Map();
+
+        Object.entries(headers || {}).forEach(([name, header]) => {
+            indexed.set(name.toLowerCase(), { name, header: resolver.resolve(header) || {} });
+        });
+
+        return indexed;
+    }
+
+    /**
+     * 응답 상태 코드 추가/삭제 확인
+     * 성공 코드(2xx, 2XX)의 추가/삭제는 클라이언트 분기 처리에 영향을 주므로 Breaking,
+     * 에러 코드와 default 응답의 변경은 정보성 변경으로 기록
+     */
+    checkStatusCodeChanges(path, method, oldResponses, newResponses) {
+        const endpoint = { path, method: method.toUpperCase() };
+        const oldCodes = Object.keys(oldResponses);
+        const newCodes = Object.keys(newResponses);
+        const hasCode = (codes, statusCode) => codes.some(code => code.toUpperCase() === statusCode.toUpperCase());
+
+        oldCodes.filter(code => !hasCode(newCodes, code)).forEach(statusCode => {
+            const isSuccess = this.isSuccessStatusCode(statusCode);
+            this.recordChange({
+                type: 'RESPONSE_STATUS_REMOVED',
+                ...endpoint,
+                statusCode,
+                description: statusCode === 'default'
+                    ? 'default 응답이 삭제되었습니다'
+                    : `${isSuccess ? '성공' : '에러'} 응답 상태 코드가 삭제되었습니다: ${statusCode}`
+            }, isSuccess);
+        });
+
+        newCodes.filter(code => !hasCode(oldCodes, code)).forEach(statusCode => {
+            const isSuccess = this.isSuccessStatusCode(statusCode);
+            this.recordChange({
+                type: 'RESPONSE_STATUS_ADDED',
+                ...endpoint,
+                statusCode,
+                description: statusCode === 'default'
+                    ? 'default 응답이 추가되었습니다'
+                    : `${isSuccess ? '성공' : '에러'} 응답 상태 코드가 추가되었습니다: ${statusCode}`
+            }, isSuccess);
+        });
+    }
+
+    /**
+     * 성공 응답 상태 코드 여부 (200, 201, 2XX 등)
+     */
+    isSuccessStatusCode(statusCode) {
+        return /^2(\d\d|XX)$/i.test(String(statusCode));
+    }
+
+    /**
+     * 요청/응답 content 비교
+     * 미디어 타입을 짝지은 뒤 삭제/추가/이름 변경을 기록하고 짝지어진 스키마를 비교
+     * @param {string} scope - 변경 유형 접두사 (REQUEST | RESPONSE)
+     * @param {object} options - { location, direction, extra, label }
+     */
+    compareContent(path, method, scope, oldContent, newContent, options) {
+        const { location, direction, extra = {} } = options;
+        const endpoint = { path, method: method.toUpperCase(), ...extra };
+        const label = options.label || (scope === 'REQUEST' ? '요청' : '응답');
+        const { pairs, removed, added } = this.pairMediaTypes(oldContent || {}, newContent || {});
+
+        removed.forEach(mediaType => {
+            this.recordChange({
+                type: `${scope}_MEDIA_TYPE_REMOVED`,
+                ...endpoint,
+                mediaType,
+                description: `${label} 미디어 타입이 삭제되었습니다: ${mediaType}`
+            }, true);
+        });
+
+        added.forEach(mediaType => {
+            this.recordChange({
+                type: `${scope}_MEDIA_TYPE_ADDED`,
+                ...endpoint,
+                mediaType,
+                description: `${label} 미디어 타입이 추가되었습니다: ${mediaType}`
+            }, false);
+        });
+
+        pairs.forEach(({ oldType, newType }) => {
+            if (oldType !== newType) {
+                // 와일드카드(*/*)가 관련된 변경은 실제 협상 결과가 같으므로 비Breaking
+                const involvesWildcard = this.isWildcardMediaType(oldType) || this.isWildcardMediaType(newType);
+
+                this.recordChange({
+                    type: `${scope}_MEDIA_TYPE_CHANGED`,
+                    ...endpoint,
+                    mediaType: newType,
+                    before: oldType,
+                    after: newType,
+                    description: `${label} 미디어 타입이 변경되었습니다: ${oldType} → ${newType}`
+                }, !involvesWildcard);
+            }
+
+            const diffs = this.schemaComparator.compare(
+                oldContent[oldType]?.schema,
+                newContent[newType]?.schema,
+                location,
+                { direction }
+            );
+            this.recordSchemaDiffs(path, method, scope, diffs, { ...extra, mediaType: newType });
+        });
+    }
+
+    /**
+     * 이전/새 content의 미디어 타입 짝짓기
+     * 1) 완전 일치 2) 같은 계열 (application/json ↔ application/*+json) 3) 와일드카드 순으로 매칭
+     */
+    pairMediaTypes(oldContent, newContent) {
+        const remainingOld = Object.keys(oldContent);
+        const remainingNew = Object.keys(newContent);
+        const pairs = [];
+
+        const take = (matcher) => {
+            [...remainingOld].forEach(oldType => {
+                const newType = remainingNew.find(candidate => matcher(oldType, candidate));
+                if (newType === undefined) return;
+
+                pairs.push({ oldType, newType });
+                remainingOld.splice(remainingOld.indexOf(oldType), 1);
+                remainingNew.splice(remainingNew.indexOf(newType), 1);
+            });
+        };
+
+        take((a, b) => this.normalizeMediaType(a) === this.normalizeMediaType(b));
+        take((a, b) => this.getMediaTypeFamily(a) === this.getMediaTypeFamily(b));
+        take((a, b) => this.wildcardMatches(a, b) || this.wildcardMatches(b, a));
+
+        return { pairs, removed: remainingOld, added: remainingNew };
+    }
+
+    normalizeMediaType(mediaType) {
+        return mediaType.split(';')[0].trim().toLowerCase();
+    }
+
+    /**
+     * 미디어 타입 계열 (json, xml, text/* 등 구조가 같은 타입끼리 묶음)
+     */
+    getMediaTypeFamily(mediaType) {
+        const normalized = this.normalizeMediaType(mediaType);
+
+        if (normalized === 'application/json' || normalized.endsWith('+json')) return 'json';
+        if (normalized === 'application/xml' || normalized === 'text/xml' || normalized.endsWith('+xml')) return 'xml';
+        return normalized;
+    }
+
+    isWildcardMediaType(mediaType) {
+        const normalized = this.normalizeMediaType(mediaType);
+        return normalized === '*/*' || normalized.endsWith('/*');
+    }
+
+    /**
+     * 와일드카드 미디어 타입이 다른 타입을 포함하는지 확인 (모든 타입 와일드카드, text 계열 와일드카드 등)
+     */
+    wildcardMatches(wildcard, mediaType) {
+        const pattern = this.normalizeMediaType(wildcard);
+        if (pattern === '*/*') return true;
+        if (!pattern.endsWith('/*')) return false;
+
+        return this.normalizeMediaType(mediaType).startsWith(pattern.slice(0, -1));
+    }
+
+    /**
+     * 요청 본문/응답에서 대표 스키마 추출 (이동 판단용 특징 추출에 사용)
+     * JSON 계열 → 와일드카드 → XML → 그 외 미디어 타입 순으로 선택
+     */
+    extractPrimarySchema(body) {
+        if (!body) return undefined;
+        if (!body.content) return body.schema;
+
+        const mediaTypes = Object.keys(body.content);
+        const preferred = mediaTypes.find(type => this.getMediaTypeFamily(type) === 'json') ||
+            mediaTypes.find(type => this.isWildcardMediaType(type)) ||
+            mediaTypes.find(type => this.getMediaTypeFamily(type) === 'xml') ||
+            mediaTypes[0];
+
+        return preferred ? body.content[preferred].schema : undefined;
+    }
+
+    /**
+     * 스키마 비교 결과를 변경사항으로 기록
+     * @param {string} scope - 변경 유형 접두사 (예: RESPONSE -> RESPONSE_PROPERTY_REMOVED)
+     * @param {object} extra - 변경사항에 함께 기록할 필드 (예: statusCode)
+     */
+    recordSchemaDiffs(path, method, scope, diffs, extra = {}) {
+        diffs.forEach(diff => {
+            const { kind, breaking, category, wasDeprecated, ...detail } = diff;
+            const change = {
+                type: `${scope}_${kind}`,
+                path,
+                method: method.toUpperCase(),
+                ...extra,
+                ...detail
+            };
+
+            if (category === 'deprecation') {
+                this.recordDeprecationChange(change, breaking);
+                return;
+            }
+
+            if (category === 'extension') {
+                this.recordExtensionChange(change);
+                return;
+            }
+
+            if (wasDeprecated !== undefined && breaking) {
+                this.applyRemovalPolicy(change, wasDeprecated);
+            }
+
+            this.recordChange(change, breaking);
+        });
+    }
+
+    /**
+     * 설정의 rules.severities로 변경 유형별 분류 재정의 (변경을 기록하는 시점에 적용)
+     * 분류가 바뀐 항목은 severityOverride로 표시하고, 삭제 변경의 정책 위반 기록도 함께 조정
+     * (ignored면 제거, non-breaking이면 표시만 남기고 위험도 하한에서 제외)
+     * @returns {'breaking' | 'non-breaking' | 'ignored'}
+     */
+    resolveSeverity(change, isBreaking) {
+        const detected = isBreaking ? 'breaking' : 'non-breaking';
+        const severity = this.config.getSeverity(change.type, this.group) || detected;
+        if (severity === detected) return severity;
+
+        change.severityOverride = severity;
+        this.overrideRemovalPolicy(change, severity);
+        return severity;
+    }
+
+    overrideRemovalPolicy(change, severity) {
+        const entry = this.removalPolicyEntries.get(change);
+        if (!entry) return;
+
+        if (severity === 'ignored') {
+            this.changes.deprecations = this.changes.deprecations.filter(deprecation => deprecation !== entry);
+        } else {
+            entry.severityOverride = severity;
+        }
+    }
+
+    /**
+     * waiver 파일에 기록된 Breaking 변경을 acknowledged로 표시 (목록에는 남기고 위험도 계산에서만 제외)
+     * deprecate 없이 삭제된 항목의 정책 위반 기록도 같은 waiver로 함께 승인
+     */
+    applyWaivers() {
+        const acknowledge = (change, target) => {
+            const waiver = this.waivers.match(target, this.group);
+            if (!waiver) return false;
+
+            change.acknowledged = true;
+            change.waiver = { reason: waiver.reason, approver: waiver.approver };
+            return true;
+        };
+
+        const acknowledged = this.changes.breaking.filter(change => acknowledge(change, change));
+
+        this.changes.deprecations
+            .filter(change => change.type === 'REMOVED_WITHOUT_DEPRECATION')
+            .forEach(change => acknowledge(change, { ...change, type: change.removedType }));
+
+        this.changes.summary.acknowledgedChanges = acknowledged.length;
+    }
+
+    /**
+     * 탐지된 변경사항 기록 (설정의 분류 재정의 적용 후 배치)
+     */
+    recordChange(change, isBreaking) {
+        const severity = this.resolveSeverity(change, isBreaking);
+        if (severity === 'ignored') return;
+
+        this.placeChange(change, severity === 'breaking');
+    }
+
+    /**
+     * Breaking 변경은 즉시 breaking 목록에, 나머지는 엔드포인트별로 모아 modifiedEndpoints에 반영
+     * 엔드포인트가 없는 문서 단위 비Breaking 변경은 document/security/extensions 목록에만 남김
+     */
+    placeChange(change, isBreaking) {
+        if (isBreaking) {
+            this.changes.breaking.push(change);
+            return;
+        }
+        if (!change.path || !change.method) return;
+
+        const key = `${change.method} ${change.path}`;
+        if (!this.nonBreakingChanges.has(key)) {
+            this.nonBreakingChanges.set(key, []);
+        }
+        this.nonBreakingChanges.get(key).push(change);
+    }
+
+    detectModifiedEndpoints() {
+        const reportedKeys = new Set();
+
+        this.forEachOperationPair(({ newPath, method, oldOperation, newOperation }) => {
+            // 비Breaking 변경사항 탐지
+            const changes = [];
+
+            // Summary 변경
+            if (oldOperation.summary !== newOperation.summary) {
+                changes.push('Summary updated');
+            }
+
+            // Description 변경
+            if (oldOperation.description !== newOperation.description) {
+                changes.push('Description updated');
             }
-        };
-    }
 
-    loadSpec(filePath) {
-        if (!fs.existsSync(filePath)) {
-            console.warn(`⚠️  Spec file not found: ${filePath}`);
-            return null;
-        }
+            // 비Breaking 파라미터/스키마 변경
+            const key = `${method.toUpperCase()} ${newPath}`;
+            const details = this.nonBreakingChanges.get(key) || [];
+            reportedKeys.add(key);
+            details.forEach(detail => changes.push(detail.description));
 
-        try {
-            const content = fs.readFileSync(filePath, 'utf8');
-            return filePath.endsWith('.yaml') || filePath.endsWith('.yml')
-                ? yaml.load(content)
-                : JSON.parse(content);
-        } catch (error) {
-            console.error(`❌ Error loading spec: ${error.message}`);
-            return null;
-        }
-    }
+            if (changes.length > 0) {
+                this.changes.modifiedEndpoints.push({
+                    path: newPath,
+                    method: method.toUpperCase(),
+                    changes,
+                    ...(details.length > 0 && { details })
+                });
+            }
+        });
 
-    analyze() {
-        if (!this.oldSpec || !this.newSpec) {
-            console.log('📝 첫 번째 버전 또는 이전 버전 없음 - 변경사항 분석 건너뜀');
-            return this.changes;
-        }
+        // webhooks/callbacks
+        const oldEvents = this.getEventOperations('old');
+        this.getEventOperations('new').forEach((event, key) => {
+            if (!oldEvents.has(key)) return;
+
+            const details = this.nonBreakingChanges.get(key) || [];
+            reportedKeys.add(key);
+            if (details.length === 0) return;
+
+            this.changes.modifiedEndpoints.push({
+                path: event.path,
+                method: event.method.toUpperCase(),
+                ...event.extra,
+                changes: details.map(detail => detail.description),
+                details
+            });
+        });
 
-        console.log('🔍 API 변경사항 분석 중...');
+        // 짝이 없는 엔드포인트의 변경 (severity 규칙으로 non-breaking이 된 삭제 등)
+        this.nonBreakingChanges.forEach((details, key) => {
+            if (reportedKeys.has(key) || details.length === 0) return;
 
-        this.detectNewEndpoints();
-        this.detectBreakingChanges();
-        this.detectModifiedEndpoints();
-        this.calculateRiskLevel();
+            const { path, method } = details[0];
+            this.changes.modifiedEndpoints.push({
+                path,
+                method,
+                changes: details.map(detail => detail.description),
+                details
+            });
+        });
 
-        return this.changes;
+        this.changes.summary.modifiedEndpoints = this.changes.modifiedEndpoints.length;
     }
 
-    detectNewEndpoints() {
-        const oldPaths = Object.keys(this.oldSpec.paths || {});
-        const newPaths = Object.keys(this.newSpec.paths || {});
-
-        newPaths.forEach(path => {
-            if (!oldPaths.includes(path)) {
-                const methods = Object.keys(this.newSpec.paths[path]);
-                methods.forEach(method => {
-                    if (method !== 'parameters') {
-                        this.changes.newEndpoints.push({
-                            path,
-                            method: method.toUpperCase(),
-                            summary: this.newSpec.paths[path][method]?.summary || 'No summary'
-                        });
-                    }
+    /**
+     * 생성 SDK(Android/iOS) 영향 변경 탐지
+     * HTTP 계약은 같아도 생성 코드의 메서드/클래스 이름이 바뀌는 변경으로, wire-level Breaking과 별도로 기록
+     */
+    detectSdkImpact() {
+        this.forEachOperationPair(({ newPath, method, oldOperation, newOperation }) => {
+            const endpoint = { path: newPath, method: method.toUpperCase() };
+
+            // operationId → 생성 SDK 메서드 이름
+            if ((oldOperation.operationId || newOperation.operationId) &&
+                oldOperation.operationId !== newOperation.operationId) {
+                this.changes.sdkImpact.push({
+                    type: 'OPERATION_ID_CHANGED',
+                    ...endpoint,
+                    before: oldOperation.operationId || null,
+                    after: newOperation.operationId || null,
+                    description: `operationId가 변경되었습니다: ${oldOperation.operationId || '(없음)'} → ${newOperation.operationId || '(없음)'}`
                 });
-            } else {
-                // 기존 경로에 새 메서드 추가된 경우
-                const oldMethods = Object.keys(this.oldSpec.paths[path] || {});
-                const newMethods = Object.keys(this.newSpec.paths[path] || {});
+            }
 
-                newMethods.forEach(method => {
-                    if (method !== 'parameters' && !oldMethods.includes(method)) {
-                        this.changes.newEndpoints.push({
-                            path,
-                            method: method.toUpperCase(),
-                            summary: this.newSpec.paths[path][method]?.summary || 'No summary'
-                        });
-                    }
+            // tags → 생성 SDK API 클래스 구분
+            const oldTags = [...(oldOperation.tags || [])].sort();
+            const newTags = [...(newOperation.tags || [])].sort();
+            if (JSON.stringify(oldTags) !== JSON.stringify(newTags)) {
+                this.changes.sdkImpact.push({
+                    type: 'OPERATION_TAGS_CHANGED',
+                    ...endpoint,
+                    before: oldTags,
+                    after: newTags,
+                    description: `태그가 변경되었습니다: [${oldTags.join(', ')}] → [${newTags.join(', ')}]`
                 });
             }
         });
 
-        this.changes.summary.newEndpoints = this.changes.newEndpoints.length;
+        this.checkSchemaComponentRenames();
+
+        this.changes.summary.sdkImpactChanges = this.changes.sdkImpact.length;
     }
 
-    detectBreakingChanges() {
-        const oldPaths = this.oldSpec.paths || {};
-        const newPaths = this.newSpec.paths || {};
+    /**
+     * 구조가 같은 스키마 컴포넌트가 다른 이름으로 바뀐 경우 (생성 SDK 모델 클래스 이름 변경)
+     */
+    checkSchemaComponentRenames() {
+        const oldSchemas = this.oldSpec.components?.schemas || {};
+        const newSchemas = this.newSpec.components?.schemas || {};
+        const addedNames = Object.keys(newSchemas).filter(name => !oldSchemas[name]);
+
+        Object.keys(oldSchemas)
+            .filter(name => !newSchemas[name])
+            .forEach(oldName => {
+                const signature = this.getSchemaSignature(oldSchemas[oldName]);
+                const newName = addedNames.find(candidate => this.getSchemaSignature(newSchemas[candidate]) === signature);
+                if (!newName) return;
+
+                addedNames.splice(addedNames.indexOf(newName), 1);
+                this.changes.sdkImpact.push({
+                    type: 'SCHEMA_COMPONENT_RENAMED',
+                    schema: newName,
+                    before: oldName,
+                    after: newName,
+                    description: `스키마 컴포넌트 이름이 변경되었습니다: ${oldName} → ${newName}`
+                });
+            });
+    }
 
-        Object.keys(oldPaths).forEach(path => {
-            if (!newPaths[path]) {
-                // 엔드포인트 완전 삭제
-                Object.keys(oldPaths[path]).forEach(method => {
-                    if (method !== 'parameters') {
-                        this.changes.breaking.push({
-                            type: 'ENDPOINT_REMOVED',
-                            path,
-                            method: method.toUpperCase(),
-                            description: `엔드포인트가 삭제되었습니다`
-                        });
-                    }
+    /**
+     * 스키마 구조 비교용 직렬화 (키 순서와 title/description 차이는 무시)
+     */
+    getSchemaSignature(schema) {
+        const canonicalize = (value) => {
+            if (Array.isArray(value)) return value.map(canonicalize);
+            if (!value || typeof value !== 'object') return value;
+
+            return Object.keys(value)
+                .filter(key => key !== 'title' && key !== 'description')
+                .sort()
+                .reduce((result, key) => ({ ...result, [key]: canonicalize(value[key]) }), {});
+        };
+
+        return JSON.stringify(canonicalize(schema));
+    }
+
+    /**
+     * components.schemas 기준 변경 리포트
+     * 추가/삭제/변경된 스키마와 해당 스키마를 직접 또는 간접($ref 체인)으로 참조하는 오퍼레이션 목록
+     */
+    detectSchemaChanges() {
+        const oldSchemas = this.oldSpec.components?.schemas || {};
+        const newSchemas = this.newSpec.components?.schemas || {};
+        const oldUsage = this.collectSchemaUsage(this.oldSpec, this.oldResolver);
+        const newUsage = this.collectSchemaUsage(this.newSpec, this.newResolver);
+        const renames = this.changes.sdkImpact.filter(change => change.type === 'SCHEMA_COMPONENT_RENAMED');
+
+        const createEntry = (schema, status, usage) => ({
+            schema,
+            status,
+            affectedOperations: usage ? [...usage.operations].map(endpoint => {
+                const [method, ...rest] = endpoint.split(' ');
+                return { method, path: rest.join(' ') };
+            }) : [],
+            affectedOperationCount: usage ? usage.operations.size : 0
+        });
+
+        Object.keys(oldSchemas).forEach(name => {
+            if (newSchemas[name]) {
+                if (this.getSchemaSignature(oldSchemas[name]) === this.getSchemaSignature(newSchemas[name])) return;
+
+                // 스키마가 쓰이는 방향(요청/응답)마다 비교해 Breaking 여부 판단 (참조되지 않으면 양쪽 모두 기준)
+                const usage = newUsage.get(name);
+                const directions = usage && usage.directions.size > 0 ? [...usage.directions] : ['request', 'response'];
+                const diffs = new Map();
+
+                directions.forEach(direction => {
+                    this.schemaComparator.compare(
+                        { $ref: `#/components/schemas/${name}` },
+                        { $ref: `#/components/schemas/${name}` },
+                        name,
+                        { direction }
+                    ).forEach(diff => {
+                        if (diff.category === 'extension') {
+                            const significance = this.config.getExtensionSignificance(diff.extension);
+                            if (significance === 'ignored') return;
+                            diff = { ...diff, breaking: significance === 'breaking' };
+                        }
+
+                        const key = `${diff.kind}|${diff.location}`;
+                        const existing = diffs.get(key);
+                        diffs.set(key, { ...diff, breaking: diff.breaking || !!existing?.breaking });
+                    });
+                });
+
+                // 설명 등 문서 필드만 바뀐 경우는 계약 변경 없음
+                if (diffs.size === 0) return;
+
+                this.changes.schemas.push({
+                    ...createEntry(name, 'changed', usage),
+                    breaking: [...diffs.values()].some(diff => diff.breaking),
+                    changes: [...diffs.values()].map(({ kind, location, breaking, description }) => ({
+                        kind,
+                        location,
+                        breaking,
+                        description
+                    }))
                 });
                 return;
             }
 
-            Object.keys(oldPaths[path]).forEach(method => {
-                if (method === 'parameters') return;
+            const rename = renames.find(change => change.before === name);
+            this.changes.schemas.push({
+                ...createEntry(name, 'removed', oldUsage.get(name)),
+                breaking: !rename && oldUsage.has(name),
+                ...(rename && { renamedTo: rename.after })
+            });
+        });
 
-                const oldOperation = oldPaths[path][method];
-                const newOperation = newPaths[path]?.[method];
+        Object.keys(newSchemas)
+            .filter(name => !oldSchemas[name])
+            .forEach(name => {
+                const rename = renames.find(change => change.after === name);
+                this.changes.schemas.push({
+                    ...createEntry(name, 'added', newUsage.get(name)),
+                    breaking: false,
+                    ...(rename && { renamedFrom: rename.before })
+                });
+            });
 
-                if (!newOperation) {
-                    // HTTP 메서드 삭제
-                    this.changes.breaking.push({
-                        type: 'METHOD_REMOVED',
-                        path,
-                        method: method.toUpperCase(),
-                        description: `HTTP 메서드가 삭제되었습니다`
-                    });
-                    return;
-                }
+        this.changes.summary.schemaChanges = this.changes.schemas.length;
+    }
 
-                // 필수 파라미터 추가 확인
-                this.checkRequiredParameters(path, method, oldOperation, newOperation);
+    /**
+     * 스키마 컴포넌트별 참조 오퍼레이션과 사용 방향(request/response) 수집
+     * @returns {Map<string, {operations: Set<string>, directions: Set<string>}>}
+     */
+    collectSchemaUsage(spec, resolver) {
+        const usage = new Map();
+        const paths = spec.paths || {};
+
+        Object.keys(paths).forEach(path => {
+            this.getOperationMethods(paths[path]).forEach(method => {
+                const operation = paths[path][method] || {};
+                const endpoint = `${method.toUpperCase()} ${path}`;
+                const visit = (direction) => (name) => {
+                    if (!usage.has(name)) {
+                        usage.set(name, { operations: new Set(), directions: new Set() });
+                    }
+                    usage.get(name).operations.add(endpoint);
+                    usage.get(name).directions.add(direction);
+                };
 
-                // 응답 구조 변경 확인
-                this.checkResponseChanges(path, method, oldOperation, newOperation);
+                const requestNodes = [...(paths[path].parameters || []), ...(operation.parameters || []), operation.requestBody];
+                this.walkSchemaRefs(requestNodes, resolver, visit('request'), new Set());
+                this.walkSchemaRefs(operation.responses, resolver, visit('response'), new Set());
             });
         });
 
-        this.changes.summary.breakingChanges = this.changes.breaking.length;
+        return usage;
     }
 
-    checkRequiredParameters(path, method, oldOperation, newOperation) {
-        const oldParams = oldOperation.parameters || [];
-        const newParams = newOperation.parameters || [];
+    /**
+     * 노드를 순회하며 $ref를 따라가 참조되는 스키마 컴포넌트 이름을 방문
+     */
+    walkSchemaRefs(node, resolver, visit, seen) {
+        if (!node || typeof node !== 'object') return;
 
-        const oldRequired = new Set(
-            oldParams.filter(p => p.required).map(p => `${p.in}:${p.name}`)
-        );
-        const newRequired = new Set(
-            newParams.filter(p => p.required).map(p => `${p.in}:${p.name}`)
-        );
+        if (Array.isArray(node)) {
+            node.forEach(child => this.walkSchemaRefs(child, resolver, visit, seen));
+            return;
+        }
 
-        newRequired.forEach(param => {
-            if (!oldRequired.has(param)) {
-                const [location, name] = param.split(':');
-                this.changes.breaking.push({
-                    type: 'REQUIRED_PARAMETER_ADDED',
-                    path,
-                    method: method.toUpperCase(),
-                    parameter: { name, location },
-                    description: `필수 파라미터가 추가되었습니다: ${name} (${location})`
-                });
+        if (typeof node.$ref === 'string') {
+            const ref = node.$ref;
+            if (seen.has(ref) || !resolver.isLocalRef(ref)) return;
+            seen.add(ref);
+
+            const match = ref.match(/^#\/components\/schemas\/([^/]+)$/);
+            if (match) {
+                visit(decodeURIComponent(match[1]).replace(/~1/g, '/').replace(/~0/g, '~'));
             }
-        });
+
+            this.walkSchemaRefs(resolver.lookup(ref), resolver, visit, seen);
+            return;
+        }
+
+        Object.values(node).forEach(child => this.walkSchemaRefs(child, resolver, visit, seen));
     }
 
-    checkResponseChanges(path, method, oldOperation, newOperation) {
-        const oldResponses = oldOperation.responses || {};
-        const newResponses = newOperation.responses || {};
+    calculateRiskLevel() {
+        const risk = this.assessRisk(
+            this.changes.breaking,
+            this.changes.summary.modifiedEndpoints,
+            this.changes.deprecations
+        );
 
-        // 성공 응답 (2xx) 구조 변경 확인
-        Object.keys(oldResponses).forEach(statusCode => {
-            if (statusCode.startsWith('2') && newResponses[statusCode]) {
-                const oldSchema = this.extractResponseSchema(oldResponses[statusCode]);
-                const newSchema = this.extractResponseSchema(newResponses[statusCode]);
+        this.changes.summary.riskLevel = risk.level;
+        this.changes.summary.riskScore = risk.score;
+        this.changes.summary.riskExplanation = risk.explanation;
+    }
 
-                if (this.hasSchemaBreakingChanges(oldSchema, newSchema)) {
-                    this.changes.breaking.push({
-                        type: 'RESPONSE_SCHEMA_CHANGED',
-                        path,
-                        method: method.toUpperCase(),
-                        statusCode,
-                        description: `응답 스키마가 변경되었습니다 (${statusCode})`
-                    });
+    /**
+     * 태그별 변경 집계
+     * 각 변경사항에 오퍼레이션 태그를 기록하고, 태그 추가/삭제/이름 변경과 태그별 Breaking/New/Modified 수, 위험도를 계산
+     */
+    detectTagChanges() {
+        const { oldTags, newTags, oldTagOperations, newTagOperations } = this.collectTagOperations();
+        const removedTags = [...oldTags].filter(tag => !newTags.has(tag));
+        const addedTags = [...newTags].filter(tag => !oldTags.has(tag));
+        const renamedFrom = new Map();
+
+        // 같은 오퍼레이션들이 다른 태그로 옮겨갔으면 이름 변경으로 판단
+        removedTags.forEach(oldTag => {
+            const newTag = addedTags.find(candidate => !renamedFrom.has(candidate) &&
+                this.calculateSimilarity(oldTagOperations.get(oldTag) || new Set(), newTagOperations.get(candidate) || new Set())
+                    >= TAG_RENAME_SIMILARITY_THRESHOLD);
+            if (newTag) renamedFrom.set(newTag, oldTag);
+        });
+        const renamedOldTags = new Set(renamedFrom.values());
+
+        const categories = ['breaking', 'newEndpoints', 'modifiedEndpoints', 'security', 'deprecations', 'sdkImpact'];
+        categories.forEach(category => {
+            this.changes[category].forEach(change => {
+                if (change.path && change.method && !change.tags) {
+                    change.tags = this.getOperationTags(change);
                 }
-            }
+            });
+        });
+
+        const countByTag = (list, tag) => list.filter(change => (change.tags || []).includes(tag));
+        const tagNames = new Set([...newTags, ...removedTags.filter(tag => !renamedOldTags.has(tag))]);
+        categories.forEach(category => {
+            this.changes[category].forEach(change => (change.tags || []).forEach(tag => tagNames.add(tag)));
+        });
+
+        tagNames.forEach(tag => {
+            const breaking = countByTag(this.changes.breaking, tag);
+            const newEndpoints = countByTag(this.changes.newEndpoints, tag);
+            const modifiedEndpoints = countByTag(this.changes.modifiedEndpoints, tag);
+
+            let status = 'unchanged';
+            if (renamedFrom.has(tag)) status = 'renamed';
+            else if (addedTags.includes(tag)) status = 'added';
+            else if (removedTags.includes(tag)) status = 'removed';
+
+            if (status === 'unchanged' && breaking.length + newEndpoints.length + modifiedEndpoints.length === 0) return;
+
+            const risk = this.assessRisk(breaking, modifiedEndpoints.length, countByTag(this.changes.deprecations, tag));
+
+            this.changes.tags.push({
+                tag,
+                status,
+                ...(renamedFrom.has(tag) && { renamedFrom: renamedFrom.get(tag) }),
+                summary: {
+                    breakingChanges: breaking.length,
+                    newEndpoints: newEndpoints.length,
+                    modifiedEndpoints: modifiedEndpoints.length,
+                    riskLevel: risk.level,
+                    riskScore: risk.score
+                }
+            });
         });
-    }
 
-    extractResponseSchema(response) {
-        return response.content?.['application/json']?.schema ||
-               response.content?.['application/xml']?.schema ||
-               response.schema;
+        this.changes.tags.sort((a, b) => b.summary.breakingChanges - a.summary.breakingChanges || a.tag.localeCompare(b.tag));
+        this.changes.summary.tagChanges = this.changes.tags.filter(entry => entry.status !== 'unchanged').length;
     }
 
-    hasSchemaBreakingChanges(oldSchema, newSchema) {
-        if (!oldSchema || !newSchema) return false;
+    /**
+     * 태그 목록과 태그별 오퍼레이션 집합 (이전 오퍼레이션은 짝지어진 새 오퍼레이션 기준 키로 변환)
+     */
+    collectTagOperations() {
+        const collect = (spec, tagOperations, keyOf) => {
+            const tags = new Set((spec.tags || []).map(tag => tag.name));
+            const paths = spec.paths || {};
+
+            Object.keys(paths).forEach(path => {
+                this.getOperationMethods(paths[path]).forEach(method => {
+                    const operationTags = paths[path][method]?.tags || [];
+                    operationTags.forEach(tag => {
+                        tags.add(tag);
+                        if (!tagOperations.has(tag)) tagOperations.set(tag, new Set());
+                        tagOperations.get(tag).add(keyOf(method, path));
+                    });
+                });
+            });
+
+            return tags;
+        };
 
-        // 간단한 스키마 변경 탐지 (실제로는 더 정교한 비교 필요)
-        const oldProps = oldSchema.properties ? Object.keys(oldSchema.properties) : [];
-        const newProps = newSchema.properties ? Object.keys(newSchema.properties) : [];
+        const pairedKeys = new Map();
+        this.forEachOperationPair(({ oldPath, newPath, method, moved }) => {
+            pairedKeys.set(`${moved ? moved.oldMethod : method} ${oldPath}`, `${method} ${newPath}`);
+        });
 
-        // 기존 필수 속성이 제거되었는지 확인
-        const oldRequired = oldSchema.required || [];
-        const newRequired = newSchema.required || [];
+        const oldTagOperations = new Map();
+        const newTagOperations = new Map();
+        const oldTags = collect(this.oldSpec, oldTagOperations, (method, path) =>
+            pairedKeys.get(`${method} ${path}`) || `removed:${method} ${path}`);
+        const newTags = collect(this.newSpec, newTagOperations, (method, path) => `${method} ${path}`);
 
-        return oldRequired.some(prop => !newRequired.includes(prop)) ||
-               oldProps.some(prop => !newProps.includes(prop));
+        return { oldTags, newTags, oldTagOperations, newTagOperations };
     }
 
-    detectModifiedEndpoints() {
-        const oldPaths = this.oldSpec.paths || {};
-        const newPaths = this.newSpec.paths || {};
+    /**
+     * 변경사항이 속한 오퍼레이션의 태그 (새 스펙 우선, 삭제된 오퍼레이션은 이전 스펙)
+     */
+    getOperationTags(change) {
+        const method = change.method.toLowerCase();
+
+        if (change.kind === 'webhook' || change.kind === 'callback') {
+            const key = `${change.method.toUpperCase()} ${change.path}`;
+            const event = this.getEventOperations('new').get(key) || this.getEventOperations('old').get(key);
+            // 태그가 없는 callback은 부모 오퍼레이션 태그를 따름
+            const parentOperation = change.parentPath &&
+                (this.newSpec.paths?.[change.parentPath] || this.oldSpec.paths?.[change.parentPath])?.[change.parentMethod.toLowerCase()];
+            const tags = event?.operation.tags?.length > 0 ? event.operation.tags : (parentOperation?.tags || []);
+            return tags.length > 0 ? [...tags] : [UNTAGGED];
+        }
 
-        Object.keys(oldPaths).forEach(path => {
-            if (!newPaths[path]) return;
+        const newOperation = this.newSpec.paths?.[change.path]?.[method];
+        const oldOperation = this.oldSpec.paths?.[change.oldPath || change.path]?.[(change.oldMethod || change.method).toLowerCase()];
+        const tags = (newOperation || oldOperation)?.tags || [];
 
-            Object.keys(oldPaths[path]).forEach(method => {
-                if (method === 'parameters') return;
+        return tags.length > 0 ? [...tags] : [UNTAGGED];
+    }
 
-                const oldOperation = oldPaths[path][method];
-                const newOperation = newPaths[path]?.[method];
+    /**
+     * 변경 목록 기준 위험 점수와 위험도, 점수 구성 설명 산정 (전체 및 태그별 공통)
+     * 각 Breaking 변경의 점수 = 변경 유형 가중치 × 엔드포인트 중요도 (태그, deprecated 여부, 그룹)
+     * 미리 deprecated 된 항목의 삭제와 waiver로 승인된 변경은 예고된 변경이므로 0점으로 설명에만 남김
+     * @returns {{ level: string, score: number, explanation: Array<object> }}
+     */
+    assessRisk(breakingChanges, modifiedCount, deprecations) {
+        const thresholds = this.config.getRiskThresholds(this.group);
+        const explanation = breakingChanges
+            .map(change => this.explainRiskContribution(change))
+            .sort((a, b) => b.points - a.points);
+        const score = this.roundRiskScore(explanation.reduce((sum, entry) => sum + entry.points, 0));
+
+        // deprecated 예고 없는 삭제는 설정의 rules.risk.removedWithoutDeprecation을 최소 위험도로 적용 (low면 하한 없음)
+        const removalFloor = this.config.getRemovalRiskFloor(this.group);
+        const unannouncedRemovals = deprecations
+            .filter(change => change.type === 'REMOVED_WITHOUT_DEPRECATION' && change.acknowledged !== true && !change.severityOverride)
+            .length;
+        if (unannouncedRemovals > 0) {
+            explanation.push({
+                rule: 'REMOVED_WITHOUT_DEPRECATION',
+                points: 0,
+                description: removalFloor === 'low'
+                    ? `deprecated 예고 없이 삭제된 항목 ${unannouncedRemovals}개`
+                    : `deprecated 예고 없이 삭제된 항목 ${unannouncedRemovals}개 - 위험도 최소 ${removalFloor}`
+            });
+        }
+        if (modifiedCount > thresholds.modified) {
+            explanation.push({
+                rule: 'MODIFIED_ENDPOINTS',
+                points: 0,
+                description: `수정된 엔드포인트 ${modifiedCount}개 (기준 ${thresholds.modified}개 초과) - 위험도 최소 medium`
+            });
+        }
 
-                if (!newOperation) return;
+        let level = 'low';
+        if (score > thresholds.critical) level = 'critical';
+        else if (score > thresholds.high) level = 'high';
+        else if (score > thresholds.medium || modifiedCount > thresholds.modified) level = 'medium';
 
-                // 비Breaking 변경사항 탐지
-                const changes = [];
+        if (unannouncedRemovals > 0 && RISK_LEVEL_ORDER.indexOf(removalFloor) > RISK_LEVEL_ORDER.indexOf(level)) {
+            level = removalFloor;
+        }
 
-                // Summary 변경
-                if (oldOperation.summary !== newOperation.summary) {
-                    changes.push('Summary updated');
-                }
+        return { level, score, explanation };
+    }
 
-                // Description 변경
-                if (oldOperation.description !== newOperation.description) {
-                    changes.push('Description updated');
-                }
+    /**
+     * Breaking 변경 하나의 위험 점수와 적용된 배수 설명
+     */
+    explainRiskContribution(change) {
+        const entry = {
+            type: change.type,
+            ...(change.path ? { method: change.method, path: change.path } : { target: change.server || change.scheme || change.schema || '' })
+        };
 
-                // 선택적 파라미터 추가
-                const oldOptionalParams = (oldOperation.parameters || [])
-                    .filter(p => !p.required).length;
-                const newOptionalParams = (newOperation.parameters || [])
-                    .filter(p => !p.required).length;
+        if (change.deprecatedBeforeRemoval === true) {
+            return { ...entry, points: 0, excluded: 'deprecated-before-removal', description: 'deprecated 후 삭제된 항목 (제외)' };
+        }
+        if (change.acknowledged === true) {
+            return { ...entry, points: 0, excluded: 'acknowledged', description: 'waiver로 승인된 변경 (제외)' };
+        }
 
-                if (newOptionalParams > oldOptionalParams) {
-                    changes.push('Optional parameters added');
-                }
+        const importance = this.config.getRiskImportance(this.group);
+        const factors = [{ factor: 'type', name: change.type, multiplier: this.config.getRiskWeight(change.type, this.group) }];
 
-                if (changes.length > 0) {
-                    this.changes.modifiedEndpoints.push({
-                        path,
-                        method: method.toUpperCase(),
-                        changes
-                    });
-                }
-            });
-        });
+        const tagFactors = (change.tags || [])
+            .filter(tag => typeof importance.tags[tag] === 'number')
+            .map(tag => ({ factor: 'tag', name: tag, multiplier: importance.tags[tag] }));
+        if (tagFactors.length > 0) {
+            factors.push(tagFactors.reduce((max, factor) => (factor.multiplier > max.multiplier ? factor : max)));
+        }
 
-        this.changes.summary.modifiedEndpoints = this.changes.modifiedEndpoints.length;
+        if (change.path && this.isChangeOnDeprecatedOperation(change)) {
+            factors.push({ factor: 'deprecated', name: 'deprecated', multiplier: importance.deprecated });
+        }
+
+        if (this.group && typeof importance.groups[this.group] === 'number') {
+            factors.push({ factor: 'group', name: this.group, multiplier: importance.groups[this.group] });
+        }
+
+        const points = this.roundRiskScore(factors.reduce((product, factor) => product * factor.multiplier, 1));
+        const labelOf = factor => {
+            if (factor.factor === 'type' || factor.factor === 'deprecated') return factor.name;
+            return `${factor.factor}(${factor.name})`;
+        };
+        const description = factors.map(factor => `${labelOf(factor)} ×${factor.multiplier}`).join(' · ');
+
+        return { ...entry, points, factors, description: `${description} = ${points}` };
     }
 
-    calculateRiskLevel() {
-        const breaking = this.changes.summary.breakingChanges;
-        const modified = this.changes.summary.modifiedEndpoints;
-
-        if (breaking > 5) {
-            this.changes.summary.riskLevel = 'critical';
-        } else if (breaking > 2) {
-            this.changes.summary.riskLevel = 'high';
-        } else if (breaking > 0 || modified > 10) {
-            this.changes.summary.riskLevel = 'medium';
-        } else {
-            this.changes.summary.riskLevel = 'low';
+    /**
+     * 변경이 일어난 오퍼레이션이 (이전 또는 새 스펙에서) deprecated 상태인지 확인
+     */
+    isChangeOnDeprecatedOperation(change) {
+        if (change.kind === 'webhook' || change.kind === 'callback') {
+            const key = `${change.method.toUpperCase()} ${change.path}`;
+            const event = this.getEventOperations('old').get(key) || this.getEventOperations('new').get(key);
+            return this.isOperationDeprecated(event?.operation);
         }
+
+        const oldOperation = this.oldSpec.paths?.[change.oldPath || change.path]?.[(change.oldMethod || change.method).toLowerCase()];
+        const newOperation = this.newSpec.paths?.[change.path]?.[change.method.toLowerCase()];
+
+        return this.isOperationDeprecated(oldOperation) || this.isOperationDeprecated(newOperation);
+    }
+
+    roundRiskScore(value) {
+        return Math.round(value * 100) / 100;
     }
 
     generateReport() {
-        const { breaking, newEndpoints, modifiedEndpoints, summary } = this.changes;
+        const { breaking, newEndpoints, modifiedEndpoints, security, deprecations, sdkImpact, document, warnings, summary } = this.changes;
 
         console.log('\n📊 === API 변경사항 리포트 ===');
         console.log(`🚨 Breaking Changes: ${summary.breakingChanges}`);
         console.log(`🆕 New Endpoints: ${summary.newEndpoints}`);
         console.log(`📝 Modified Endpoints: ${summary.modifiedEndpoints}`);
-        console.log(`⚠️  Risk Level: ${summary.riskLevel.toUpperCase()}`);
+        console.log(`🔐 Security Changes: ${summary.securityChanges}`);
+        console.log(`🕰️  Deprecation Changes: ${summary.deprecationChanges}`);
+        console.log(`📱 SDK Impact Changes: ${summary.sdkImpactChanges}`);
+        console.log(`🧩 Schema Changes: ${summary.schemaChanges}`);
+        console.log(`🏷️  Tag Changes: ${summary.tagChanges}`);
+        console.log(`🌐 Document Changes: ${summary.documentChanges}`);
+        console.log(`🧷 Extension Changes: ${summary.extensionChanges}`);
+        console.log(`✅ Acknowledged Changes: ${summary.acknowledgedChanges}`);
+        console.log(`⚠️  Risk Level: ${summary.riskLevel.toUpperCase()} (score ${summary.riskScore})`);
 
         if (breaking.length > 0) {
             console.log('\n🚨 Breaking Changes:');
             breaking.forEach((change, index) => {
-                console.log(`  ${index + 1}. [${change.type}] ${change.method} ${change.path}`);
+                const target = change.path ? `${change.method} ${change.path}` : (change.server || change.scheme || '');
+                console.log(`  ${index + 1}. [${change.type}] ${target}${change.acknowledged ? ' ✅ acknowledged' : ''}`);
                 console.log(`     ${change.description}`);
+                if (change.waiver) {
+                    console.log(`     승인: ${change.waiver.reason} (${change.waiver.approver})`);
+                }
             });
         }
 
@@ -311,6 +2497,46 @@ class ChangeDetector {
             });
         }
 
+        if (security.length > 0) {
+            console.log('\n🔐 Security Changes:');
+            security.forEach((change, index) => {
+                const target = change.path ? `${change.method} ${change.path}` : change.scheme;
+                console.log(`  ${index + 1}. [${change.type}] ${target}`);
+                console.log(`     ${change.description}`);
+            });
+        }
+
+        if (deprecations.length > 0) {
+            console.log('\n🕰️  Deprecation Changes:');
+            deprecations.forEach((change, index) => {
+                console.log(`  ${index + 1}. [${change.type}] ${change.method} ${change.path}`);
+                console.log(`     ${change.description}`);
+            });
+        }
+
+        if (document.length > 0) {
+            console.log('\n🌐 Document Changes:');
+            document.forEach((change, index) => {
+                console.log(`  ${index + 1}. [${change.type}] ${change.description}`);
+            });
+        }
+
+        if (warnings.length > 0) {
+            console.log('\n⚠️  Warnings:');
+            warnings.forEach((warning, index) => {
+                console.log(`  ${index + 1}. [${warning.type}] ${warning.description}`);
+            });
+        }
+
+        if (sdkImpact.length > 0) {
+            console.log('\n📱 SDK Impact Changes:');
+            sdkImpact.forEach((change, index) => {
+                const target = change.path ? `${change.method} ${change.path}` : change.schema;
+                console.log(`  ${index + 1}. [${change.type}] ${target}`);
+                console.log(`     ${change.description}`);
+            });
+        }
+
         return this.changes;
     }
 
@@ -321,7 +2547,15 @@ class ChangeDetector {
             changes: {
                 breaking: this.changes.breaking,
                 newEndpoints: this.changes.newEndpoints,
-                modifiedEndpoints: this.changes.modifiedEndpoints
+                modifiedEndpoints: this.changes.modifiedEndpoints,
+                security: this.changes.security,
+                deprecations: this.changes.deprecations,
+                sdkImpact: this.changes.sdkImpact,
+                schemas: this.changes.schemas,
+                tags: this.changes.tags,
+                document: this.changes.document,
+                warnings: this.changes.warnings,
+                extensions: this.changes.extensions
             }
         };
 
@@ -348,7 +2582,12 @@ if (require.main === module) {
 
     const [oldSpecPath, newSpecPath, outputPath] = args;
 
-    const detector = new ChangeDetector(oldSpecPath, newSpecPath);
+    // 새 스펙 옆의 설정과 승인된 Breaking 변경 목록 로드
+    const configDirs = [path.dirname(newSpecPath)];
+    const detector = new ChangeDetector(oldSpecPath, newSpecPath, {
+        config: ApiDiffConfig.load(configDirs),
+        waivers: ApiDiffWaivers.load(configDirs)
+    });
     const changes = detector.analyze();
     detector.generateReport();
 
@@ -369,9 +2608,16 @@ if (require.main === module) {
  * OpenAPI 스펙 파일들을 자동으로 감지하고 그룹별로 변경사항 분석
  */
 class DynamicGroupChangeDetector {
-    constructor(oldVersionDir, newVersionDir) {
+    /**
+     * @param {string} oldVersionDir - 이전 버전 스펙 디렉토리
+     * @param {string} newVersionDir - 새 버전 스펙 디렉토리
+     * @param {object} options - { config: ApiDiffConfig, waivers: ApiDiffWaivers }
+     */
+    constructor(oldVersionDir, newVersionDir, options = {}) {
         this.oldVersionDir = oldVersionDir;
         this.newVersionDir = newVersionDir;
+        this.config = options.config || new ApiDiffConfig();
+        this.waivers = options.waivers || new ApiDiffWaivers();
         this.groupedChanges = {};
         this.groups = {};
     }
@@ -415,9 +2661,10 @@ class DynamicGroupChangeDetector {
         try {
             return fs.readdirSync(directory)
                 .filter(file => {
-                    // apiDocs-*.json 또는 apiDocs-*.yaml 패턴 매칭
+                    // apiDocs-*.json 또는 apiDocs-*.yaml 패턴 매칭 (번들 파일은 원본 그룹 로드 시 사용)
                     return (file.startsWith('apiDocs-') &&
-                           (file.endsWith('.json') || file.endsWith('.yaml') || file.endsWith('.yml')));
+                           (file.endsWith('.json') || file.endsWith('.yaml') || file.endsWith('.yml')) &&
+                           !SpecBundler.isBundledFile(file));
                 })
                 .map(file => ({
                     name: this.extractGroupName(file),
@@ -476,7 +2723,7 @@ class DynamicGroupChangeDetector {
             console.log(`📋 Analyzing group: ${group.displayName} (${groupName})`);
 
             try {
-                const detector = new ChangeDetector(group.oldPath, group.newPath);
+                const detector = new ChangeDetector(group.oldPath, group.newPath, { config: this.config, waivers: this.waivers, group: groupName });
                 const changes = detector.analyze();
 
                 this.groupedChanges[groupName] = {
@@ -500,11 +2747,29 @@ class DynamicGroupChangeDetector {
                     breaking: [],
                     newEndpoints: [],
                     modifiedEndpoints: [],
+                    security: [],
+                    deprecations: [],
+                    sdkImpact: [],
+                    schemas: [],
+                    tags: [],
+                    document: [],
+                    warnings: [],
+                    extensions: [],
                     summary: {
                         breakingChanges: 0,
                         newEndpoints: 0,
                         modifiedEndpoints: 0,
-                        riskLevel: 'unknown'
+                        securityChanges: 0,
+                        deprecationChanges: 0,
+                        sdkImpactChanges: 0,
+                        schemaChanges: 0,
+                        tagChanges: 0,
+                        documentChanges: 0,
+                        extensionChanges: 0,
+                        acknowledgedChanges: 0,
+                        riskLevel: 'unknown',
+                        riskScore: 0,
+                        riskExplanation: []
                     },
                     groupInfo: {
                         name: groupName,
@@ -527,6 +2792,8 @@ class DynamicGroupChangeDetector {
             generatedAt: new Date().toISOString(),
             totalGroups: Object.keys(this.groupedChanges).length,
             groups: this.groupedChanges,
+            schemas: this.mergeSchemaChanges(),
+            tags: this.mergeTagBreakdowns(),
             summary: this.calculateOverallSummary()
         };
 
@@ -535,17 +2802,95 @@ class DynamicGroupChangeDetector {
         console.log(`🚨 Overall Breaking Changes: ${report.summary.totalBreakingChanges}`);
         console.log(`🆕 Overall New Endpoints: ${report.summary.totalNewEndpoints}`);
         console.log(`📝 Overall Modified Endpoints: ${report.summary.totalModifiedEndpoints}`);
-        console.log(`⚠️  Overall Risk Level: ${report.summary.overallRiskLevel.toUpperCase()}`);
+        console.log(`🔐 Overall Security Changes: ${report.summary.totalSecurityChanges}`);
+        console.log(`🕰️  Overall Deprecation Changes: ${report.summary.totalDeprecationChanges}`);
+        console.log(`📱 Overall SDK Impact Changes: ${report.summary.totalSdkImpactChanges}`);
+        console.log(`🧩 Overall Schema Changes: ${report.schemas.length}`);
+        console.log(`⚠️  Overall Risk Level: ${report.summary.overallRiskLevel.toUpperCase()} (score ${report.summary.overallRiskScore})`);
 
         Object.keys(this.groupedChanges).forEach(groupName => {
             const group = this.groupedChanges[groupName];
             console.log(`\n📋 ${group.groupInfo.displayName}:`);
-            console.log(`   Breaking: ${group.summary.breakingChanges}, New: ${group.summary.newEndpoints}, Modified: ${group.summary.modifiedEndpoints}, Risk: ${group.summary.riskLevel}`);
+            console.log(`   Breaking: ${group.summary.breakingChanges}, New: ${group.summary.newEndpoints}, Modified: ${group.summary.modifiedEndpoints}, Security: ${group.summary.securityChanges || 0}, Deprecation: ${group.summary.deprecationChanges || 0}, SDK: ${group.summary.sdkImpactChanges || 0}, Acknowledged: ${group.summary.acknowledgedChanges || 0}, Risk: ${group.summary.riskLevel} (score ${group.summary.riskScore || 0})`);
         });
 
+        // 영향 범위가 큰 스키마 변경 안내
+        report.schemas
+            .filter(schema => schema.status !== 'added' && schema.affectedOperationCount > 0)
+            .forEach(schema => {
+                console.log(`🧩 ${schema.schema} (${schema.status}): ${schema.affectedOperationCount} endpoints affected`);
+            });
+
+        if (report.tags.length > 0) {
+            console.log('\n🏷️  태그별 변경사항:');
+            report.tags.forEach(entry => {
+                const status = entry.status === 'renamed' ? `renamed from ${entry.renamedFrom}` : entry.status;
+                console.log(`   ${entry.tag} [${status}] Breaking: ${entry.summary.breakingChanges}, New: ${entry.summary.newEndpoints}, Modified: ${entry.summary.modifiedEndpoints}, Risk: ${entry.summary.riskLevel}`);
+            });
+        }
+
         return report;
     }
 
+    /**
+     * 태그별 변경 집계 통합
+     * 'all' 그룹이 있으면 전체 스펙 기준 집계를 그대로 사용 (그룹 간 중복 합산 방지), 없으면 그룹별 집계를 합산
+     */
+    mergeTagBreakdowns() {
+        const allGroup = this.groupedChanges['all'];
+        if (allGroup) return allGroup.tags || [];
+
+        const merged = new Map();
+
+        Object.values(this.groupedChanges).forEach(group => {
+            (group.tags || []).forEach(entry => {
+                const existing = merged.get(entry.tag);
+                if (!existing) {
+                    merged.set(entry.tag, { ...entry, summary: { ...entry.summary } });
+                    return;
+                }
+
+                existing.summary.breakingChanges += entry.summary.breakingChanges;
+                existing.summary.newEndpoints += entry.summary.newEndpoints;
+                existing.summary.modifiedEndpoints += entry.summary.modifiedEndpoints;
+                if (RISK_LEVEL_ORDER.indexOf(entry.summary.riskLevel) > RISK_LEVEL_ORDER.indexOf(existing.summary.riskLevel)) {
+                    existing.summary.riskLevel = entry.summary.riskLevel;
+                }
+            });
+        });
+
+        return [...merged.values()];
+    }
+
+    /**
+     * 그룹별 스키마 변경을 스키마 이름 기준으로 통합 (영향받는 오퍼레이션은 합집합)
+     */
+    mergeSchemaChanges() {
+        const merged = new Map();
+
+        Object.values(this.groupedChanges).forEach(group => {
+            (group.schemas || []).forEach(entry => {
+                const existing = merged.get(entry.schema);
+                if (!existing) {
+                    merged.set(entry.schema, { ...entry, groups: [group.groupInfo.name] });
+                    return;
+                }
+
+                existing.groups.push(group.groupInfo.name);
+                existing.breaking = existing.breaking || entry.breaking;
+                entry.affectedOperations.forEach(operation => {
+                    const exists = existing.affectedOperations.some(candidate =>
+                        candidate.method === operation.method && candidate.path === operation.path
+                    );
+                    if (!exists) existing.affectedOperations.push(operation);
+                });
+                existing.affectedOperationCount = existing.affectedOperations.length;
+            });
+        });
+
+        return [...merged.values()].sort((a, b) => b.affectedOperationCount - a.affectedOperationCount);
+    }
+
     /**
      * 전체 요약 통계 계산
      */
@@ -554,6 +2899,11 @@ class DynamicGroupChangeDetector {
             totalBreakingChanges: 0,
             totalNewEndpoints: 0,
             totalModifiedEndpoints: 0,
+            totalSecurityChanges: 0,
+            totalDeprecationChanges: 0,
+            totalSdkImpactChanges: 0,
+            totalAcknowledgedChanges: 0,
+            overallRiskScore: 0,
             overallRiskLevel: 'low'
         };
 
@@ -561,17 +2911,17 @@ class DynamicGroupChangeDetector {
             summary.totalBreakingChanges += group.summary.breakingChanges;
             summary.totalNewEndpoints += group.summary.newEndpoints;
             summary.totalModifiedEndpoints += group.summary.modifiedEndpoints;
+            summary.totalSecurityChanges += group.summary.securityChanges || 0;
+            summary.totalDeprecationChanges += group.summary.deprecationChanges || 0;
+            summary.totalSdkImpactChanges += group.summary.sdkImpactChanges || 0;
+            summary.totalAcknowledgedChanges += group.summary.acknowledgedChanges || 0;
+            // 그룹 간 엔드포인트가 겹치므로 (all ⊇ api, internal) 합산하지 않고 가장 높은 그룹 점수/위험도 사용
+            summary.overallRiskScore = Math.max(summary.overallRiskScore, group.summary.riskScore || 0);
+            if (RISK_LEVEL_ORDER.indexOf(group.summary.riskLevel) > RISK_LEVEL_ORDER.indexOf(summary.overallRiskLevel)) {
+                summary.overallRiskLevel = group.summary.riskLevel;
+            }
         });
 
-        // 전체 위험도 계산
-        if (summary.totalBreakingChanges > 10) {
-            summary.overallRiskLevel = 'critical';
-        } else if (summary.totalBreakingChanges > 5) {
-            summary.overallRiskLevel = 'high';
-        } else if (summary.totalBreakingChanges > 0 || summary.totalModifiedEndpoints > 20) {
-            summary.overallRiskLevel = 'medium';
-        }
-
         return summary;
     }
 
@@ -612,7 +2962,15 @@ class DynamicGroupChangeDetector {
                 changes: {
                     breaking: allGroup.breaking,
                     newEndpoints: allGroup.newEndpoints,
-                    modifiedEndpoints: allGroup.modifiedEndpoints
+                    modifiedEndpoints: allGroup.modifiedEndpoints,
+                    security: allGroup.security,
+                    deprecations: allGroup.deprecations,
+                    sdkImpact: allGroup.sdkImpact,
+                    schemas: groupedReport.schemas,
+                    tags: groupedReport.tags,
+                    document: allGroup.document,
+                    warnings: allGroup.warnings,
+                    extensions: allGroup.extensions
                 }
             };
         } else {
@@ -620,13 +2978,27 @@ class DynamicGroupChangeDetector {
             const integrated = {
                 breaking: [],
                 newEndpoints: [],
-                modifiedEndpoints: []
+                modifiedEndpoints: [],
+                security: [],
+                deprecations: [],
+                sdkImpact: [],
+                schemas: groupedReport.schemas,
+                tags: groupedReport.tags,
+                document: [],
+                warnings: [],
+                extensions: []
             };
 
             Object.values(this.groupedChanges).forEach(group => {
                 integrated.breaking.push(...group.breaking);
                 integrated.newEndpoints.push(...group.newEndpoints);
                 integrated.modifiedEndpoints.push(...group.modifiedEndpoints);
+                integrated.security.push(...(group.security || []));
+                integrated.deprecations.push(...(group.deprecations || []));
+                integrated.sdkImpact.push(...(group.sdkImpact || []));
+                integrated.document.push(...(group.document || []));
+                integrated.warnings.push(...(group.warnings || []));
+                integrated.extensions.push(...(group.extensions || []));
             });
 
             return {
@@ -0,0 +1,46 @@
+/**
+ * OpenAPI 엔드포인트 수 계산
+ * paths 오퍼레이션 + 오퍼레이션 callbacks + OpenAPI 3.1 webhooks를 세며,
+ * $ref로 분리된 Path Item/콜백도 RefResolver로 해석해 타임라인과 서비스 인덱스가 같은 값을 쓰도록 함
+ */
+
+const RefResolver = require('./ref-resolver.js');
+
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+
+class EndpointCounter {
+    /**
+     * @param {object} spec - OpenAPI 3.x 스펙 (Swagger 2.0은 정규화 후 전달)
+     * @returns {number} 엔드포인트 수
+     */
+    static count(spec) {
+        if (!spec) return 0;
+
+        const resolver = new RefResolver(spec);
+        const operationsOf = (pathItem) => {
+            const resolved = resolver.resolve(pathItem) || {};
+            return HTTP_METHODS.filter(method => resolved[method]).map(method => resolver.resolve(resolved[method]) || {});
+        };
+
+        let count = 0;
+        Object.values(spec.paths || {}).forEach(pathItem => {
+            operationsOf(pathItem).forEach(operation => {
+                count++;
+
+                Object.values(operation.callbacks || {}).forEach(callback => {
+                    Object.values(resolver.resolve(callback) || {}).forEach(callbackPathItem => {
+                        count += operationsOf(callbackPathItem).length;
+                    });
+                });
+            });
+        });
+
+        Object.values(spec.webhooks || {}).forEach(pathItem => {
+            count += operationsOf(pathItem).length;
+        });
+
+        return count;
+    }
+}
+
+module.exports = EndpointCounter;
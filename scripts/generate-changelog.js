@@ -155,6 +155,37 @@ class ChangelogGenerator {
         return riskMap[riskLevel] || '⚪';
     }
 
+    /**
+     * webhook/callback 항목 표시 라벨 (일반 엔드포인트는 빈 문자열)
+     */
+    getEventLabel(entry) {
+        if (entry.kind === 'webhook') return '🪝 <em>Webhook</em> ';
+        if (entry.kind === 'callback') return '↩️ <em>Callback</em> ';
+        return '';
+    }
+
+    /**
+     * waiver로 승인된 Breaking 변경의 승인 표시와 사유 (승인되지 않았으면 빈 문자열)
+     */
+    getWaiverNote(change) {
+        if (!change.acknowledged) return '';
+
+        // 사유/승인자는 incoming 번들의 waiver 파일 값이므로 이스케이프 후 삽입
+        const waiver = change.waiver || {};
+        const reason = waiver.reason ? this.escapeHtml(waiver.reason) : '-';
+        const approver = waiver.approver ? ` (${this.escapeHtml(waiver.approver)})` : '';
+        return `<span class="acknowledged">✅ Acknowledged</span><div class="change-description">승인 사유: ${reason}${approver}</div>`;
+    }
+
+    escapeHtml(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
     /**
      * 변경사항 HTML 생성
      */
@@ -193,7 +224,13 @@ class ChangelogGenerator {
                     <div class="changes-section">
                         <div class="change-type breaking">🚨 Breaking Changes</div>`;
                     change.changes.breaking.forEach(breakingChange => {
-                        content += `<div class="change-item">• <strong>${breakingChange.method?.toUpperCase() || ''}</strong> ${breakingChange.path || ''} - ${breakingChange.description || breakingChange.summary || ''}</div>`;
+                        // 엔드포인트 이동은 이전/새 경로와 마이그레이션 안내로 표시
+                        if (breakingChange.type === 'ENDPOINT_MOVED') {
+                            content += `<div class="change-item">• 🔀 <strong>${breakingChange.oldMethod || breakingChange.method}</strong> ${breakingChange.oldPath} → <strong>${breakingChange.method}</strong> ${breakingChange.newPath}<div class="change-description">${breakingChange.migrationHint || ''}</div>${this.getWaiverNote(breakingChange)}</div>`;
+                            return;
+                        }
+
+                        content += `<div class="change-item">• ${this.getEventLabel(breakingChange)}<strong>${breakingChange.method?.toUpperCase() || ''}</strong> ${breakingChange.path || ''} - ${breakingChange.description || breakingChange.summary || ''}${this.getWaiverNote(breakingChange)}</div>`;
                     });
                     content += `</div>`;
                 }
@@ -204,7 +241,7 @@ class ChangelogGenerator {
                     <div class="changes-section">
                         <div class="change-type new">✨ New Endpoints</div>`;
                     change.changes.newEndpoints.forEach(endpoint => {
-                        content += `<div class="change-item">• <strong>${endpoint.method.toUpperCase()}</strong> ${endpoint.path} - ${endpoint.summary}</div>`;
+                        content += `<div class="change-item">• ${this.getEventLabel(endpoint)}<strong>${endpoint.method.toUpperCase()}</strong> ${endpoint.path} - ${endpoint.summary}</div>`;
                     });
                     content += `</div>`;
                 }
@@ -215,7 +252,7 @@ class ChangelogGenerator {
                     <div class="changes-section">
                         <div class="change-type modified">🔄 Modified Endpoints</div>`;
                     change.changes.modifiedEndpoints.forEach(endpoint => {
-                        content += `<div class="change-item">• <strong>${endpoint.method.toUpperCase()}</strong> ${endpoint.path} - ${endpoint.summary}</div>`;
+                        content += `<div class="change-item">• ${this.getEventLabel(endpoint)}<strong>${endpoint.method.toUpperCase()}</strong> ${endpoint.path} - ${endpoint.summary || (endpoint.changes || []).join(', ')}</div>`;
                     });
                     content += `</div>`;
                 }
@@ -240,6 +277,7 @@ class ChangelogGenerator {
                         <span class="stat-item">${summary.newEndpoints || 0} new</span>
                         <span class="stat-item">${summary.modifiedEndpoints || 0} modified</span>
                         <span class="stat-item">${summary.breakingChanges || 0} breaking</span>
+                        ${summary.acknowledgedChanges ? `<span class="stat-item">${summary.acknowledgedChanges} acknowledged</span>` : ''}
                     </div>`;
 
             // GitHub 링크
@@ -400,6 +438,16 @@ class ChangelogGenerator {
             font-weight: 600;
         }
 
+        .acknowledged {
+            margin-left: 0.5rem;
+            padding: 0.1rem 0.4rem;
+            border-radius: 4px;
+            background: #e8f5e8;
+            color: #2e7d32;
+            font-size: 0.8rem;
+            font-weight: 600;
+        }
+
         .change-description {
             color: #666;
             font-style: italic;
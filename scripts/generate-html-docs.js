@@ -14,7 +14,9 @@
 const fs = require('fs').promises;
 const fsSync = require('fs');
 const path = require('path');
+const yaml = require('js-yaml');
 const { execSync } = require('child_process');
+const SpecBundler = require('./bundle-specs.js');
 
 class HtmlDocGenerator {
     /**
@@ -95,7 +97,7 @@ class HtmlDocGenerator {
     async discoverSpecFiles() {
         const files = await fs.readdir(this.targetDir);
 
-        const specFiles = files.filter(file => {
+        const candidates = files.filter(file => {
             // 메타데이터 및 변경사항 리포트 제외
             if (file === 'service-metadata.json' ||
                 file === 'changes-report.json' ||
@@ -103,14 +105,42 @@ class HtmlDocGenerator {
                 return false;
             }
 
+            // 번들 파일은 원본 스펙 문서의 렌더링 소스로만 사용
+            if (SpecBundler.isBundledFile(file)) {
+                return false;
+            }
+
             // OpenAPI 스펙 파일만 포함
             return /\.(yaml|yml|json)$/i.test(file);
         });
 
+        // 멀티 파일 스펙의 조각 파일(common.yaml 등)은 단독 문서가 아니므로 제외
+        const specFiles = [];
+        for (const file of candidates) {
+            if (await this.isSpecFragment(file)) {
+                console.log(`⏭️  Skipping spec fragment: ${file}`);
+                continue;
+            }
+            specFiles.push(file);
+        }
+
         console.log(`🔍 Discovered ${specFiles.length} spec files: ${specFiles.join(', ')}`);
         return specFiles;
     }
 
+    /**
+     * openapi/swagger 필드가 없는 분리 스펙 조각 파일 여부 (파싱할 수 없으면 기존처럼 스펙으로 취급)
+     */
+    async isSpecFragment(file) {
+        try {
+            const content = await fs.readFile(path.join(this.targetDir, file), 'utf8');
+            const document = /\.json$/i.test(file) ? JSON.parse(content) : yaml.load(content);
+            return !SpecBundler.isSpecDocument(document);
+        } catch (error) {
+            return false;
+        }
+    }
+
     /**
      * 모든 문서 생성
      */
@@ -170,11 +200,17 @@ class HtmlDocGenerator {
 
         console.log(`🔄 Processing: ${specFile} → ${outputFile}`);
 
+        // 멀티 파일 스펙은 외부 참조를 해석한 번들 파일을 렌더링 (HTML 이름은 원본 기준)
+        const renderFile = path.basename(SpecBundler.resolveSpecPath(path.join(this.targetDir, specFile)));
+        if (renderFile !== specFile) {
+            console.log(`📦 Using bundled spec: ${renderFile}`);
+        }
+
         // 템플릿 사용 또는 외부 도구 사용
         if (this.forceTemplate) {
-            await this.generateFromTemplate(specFile, outputFile);
+            await this.generateFromTemplate(renderFile, outputFile);
         } else {
-            await this.generateWithExternalTool(specFile, outputFile);
+            await this.generateWithExternalTool(renderFile, outputFile);
         }
 
         // 템플릿 변수 검증
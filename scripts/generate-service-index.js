@@ -7,6 +7,9 @@
 
 const fs = require('fs');
 const path = require('path');
+const SwaggerNormalizer = require('./swagger-normalizer.js');
+const SpecBundler = require('./bundle-specs.js');
+const EndpointCounter = require('./endpoint-counter.js');
 
 class ServiceIndexGenerator {
     constructor(servicesDir, templatesDir, assetsDir) {
@@ -200,15 +203,16 @@ class ServiceIndexGenerator {
      */
     countEndpointsInVersion(versionPath) {
         try {
-            // OpenAPI JSON 파일 찾기
-            const files = fs.readdirSync(versionPath);
-            // OpenAPI JSON 파일 찾기 (다양한 이름 패턴 지원)
+            // OpenAPI 스펙 파일 찾기 (다양한 이름 패턴 지원, JSON 우선 - 번들 파일은 resolveSpecPath로 선택)
+            const files = fs.readdirSync(versionPath)
+                .filter(file => !SpecBundler.isBundledFile(file))
+                .sort((a, b) => Number(!a.endsWith('.json')) - Number(!b.endsWith('.json')));
             const openApiFile = files.find(file =>
                 (file.includes('openapi') ||
                  file.includes('apiDocs') ||
                  file.includes('swagger') ||
                  file === 'api.json') &&
-                file.endsWith('.json')
+                /\.(json|ya?ml)$/i.test(file)
             );
 
             if (!openApiFile) {
@@ -216,23 +220,9 @@ class ServiceIndexGenerator {
             }
 
             const openApiPath = path.join(versionPath, openApiFile);
-            const openApiSpec = JSON.parse(fs.readFileSync(openApiPath, 'utf8'));
+            const openApiSpec = SwaggerNormalizer.normalize(SpecBundler.readSpecFile(SpecBundler.resolveSpecPath(openApiPath)));
 
-            if (!openApiSpec.paths) {
-                return 0;
-            }
-
-            let count = 0;
-            Object.keys(openApiSpec.paths).forEach(path => {
-                const pathItem = openApiSpec.paths[path];
-                Object.keys(pathItem).forEach(method => {
-                    if (['get', 'post', 'put', 'delete', 'patch', 'options', 'head'].includes(method.toLowerCase())) {
-                        count++;
-                    }
-                });
-            });
-
-            return count;
+            return EndpointCounter.count(openApiSpec);
 
         } catch (error) {
             console.warn(`⚠️  Error counting endpoints in ${versionPath}: ${error.message}`);
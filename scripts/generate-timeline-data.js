@@ -7,6 +7,9 @@
 
 const fs = require('fs');
 const path = require('path');
+const SwaggerNormalizer = require('./swagger-normalizer.js');
+const SpecBundler = require('./bundle-specs.js');
+const EndpointCounter = require('./endpoint-counter.js');
 
 class TimelineDataGenerator {
     constructor(servicesDir) {
@@ -53,13 +56,17 @@ class TimelineDataGenerator {
     processVersion(versionsDir, version) {
         const versionDir = path.join(versionsDir, version);
         const changesReportPath = path.join(versionDir, 'changes-report.json');
-        // OpenAPI JSON 파일 찾기 (다양한 이름 패턴 지원)
+        // OpenAPI 스펙 파일 찾기 (다양한 이름 패턴 지원, JSON 우선)
         const possibleOpenApiFiles = [
             'openapi.json',
             'apiDocs-api.json',
             'apiDocs-all.json',
             'swagger.json',
-            'api.json'
+            'api.json',
+            'openapi.yaml',
+            'apiDocs-api.yaml',
+            'apiDocs-all.yaml',
+            'swagger.yaml'
         ];
 
         let openApiPath = null;
@@ -79,8 +86,9 @@ class TimelineDataGenerator {
 
         if (openApiPath && fs.existsSync(openApiPath)) {
             try {
-                const openApiSpec = JSON.parse(fs.readFileSync(openApiPath, 'utf8'));
-                totalEndpoints = this.countEndpoints(openApiSpec);
+                const specPath = SpecBundler.resolveSpecPath(openApiPath);
+                const openApiSpec = SwaggerNormalizer.normalize(SpecBundler.readSpecFile(specPath));
+                totalEndpoints = EndpointCounter.count(openApiSpec);
 
                 // 버전 정보에서 timestamp 추출 시도
                 if (openApiSpec.info && openApiSpec.info.version) {
@@ -134,22 +142,6 @@ class TimelineDataGenerator {
         };
     }
 
-    countEndpoints(openApiSpec) {
-        if (!openApiSpec.paths) return 0;
-
-        let count = 0;
-        Object.keys(openApiSpec.paths).forEach(path => {
-            const pathItem = openApiSpec.paths[path];
-            Object.keys(pathItem).forEach(method => {
-                if (['get', 'post', 'put', 'delete', 'patch', 'options', 'head'].includes(method.toLowerCase())) {
-                    count++;
-                }
-            });
-        });
-
-        return count;
-    }
-
     extractTimestampFromVersion(versionString) {
         // 버전 스트링에서 timestamp 추출 로직
         // 예: "0.4.1-20240927" 형식에서 날짜 추출
@@ -0,0 +1,95 @@
+/**
+ * OpenAPI $ref 해석기
+ * 스펙 내부 로컬 참조(#/components/...)를 따라가 실제 노드를 반환
+ */
+
+class RefResolver {
+    /**
+     * @param {object} spec - 참조를 해석할 OpenAPI 스펙
+     */
+    constructor(spec) {
+        this.spec = spec || {};
+        this.warnedRefs = new Set();
+    }
+
+    /**
+     * 로컬 참조(#/...) 여부 확인
+     */
+    isLocalRef(ref) {
+        return typeof ref === 'string' && ref.startsWith('#/');
+    }
+
+    /**
+     * JSON Pointer를 따라 스펙 내 대상 노드 조회
+     */
+    lookup(ref) {
+        const segments = ref.slice(2).split('/')
+            .map(segment => this.decodeSegment(segment).replace(/~1/g, '/').replace(/~0/g, '~'));
+
+        return segments.reduce(
+            (node, segment) => (node === undefined || node === null ? undefined : node[segment]),
+            this.spec
+        );
+    }
+
+    /**
+     * URI 인코딩된 포인터 세그먼트 디코딩 (잘못된 % 이스케이프는 원문 그대로 사용)
+     */
+    decodeSegment(segment) {
+        try {
+            return decodeURIComponent(segment);
+        } catch (error) {
+            return segment;
+        }
+    }
+
+    /**
+     * $ref 체인을 끝까지 따라가 실제 노드 반환
+     * 해석할 수 없는 참조는 경고 후 참조 노드 그대로, 순환 체인은 빈 스키마로 반환
+     */
+    resolve(node) {
+        let current = node;
+        const visited = new Set();
+
+        while (current && typeof current === 'object' && current.$ref) {
+            const ref = current.$ref;
+
+            if (!this.isLocalRef(ref)) {
+                this.warnOnce(ref, '로컬 참조가 아니어서 해석하지 않습니다');
+                return current;
+            }
+
+            if (visited.has(ref)) {
+                this.warnOnce(ref, '순환 참조 체인이 감지되었습니다');
+                return {};
+            }
+            visited.add(ref);
+
+            const target = this.lookup(ref);
+            if (target === undefined) {
+                this.warnOnce(ref, '참조 대상을 찾을 수 없습니다');
+                return current;
+            }
+
+            current = target;
+        }
+
+        return current;
+    }
+
+    /**
+     * 참조 노드에서 컴포넌트 이름 추출 (#/components/schemas/Foo -> Foo)
+     */
+    getRefName(node) {
+        if (!node || typeof node.$ref !== 'string') return null;
+        return node.$ref.split('/').pop();
+    }
+
+    warnOnce(ref, message) {
+        if (this.warnedRefs.has(ref)) return;
+        this.warnedRefs.add(ref);
+        console.warn(`⚠️  ${message}: ${ref}`);
+    }
+}
+
+module.exports = RefResolver;
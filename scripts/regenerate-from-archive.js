@@ -17,6 +17,11 @@ const path = require('path');
 const HtmlDocGenerator = require('./generate-html-docs.js');
 const ChangeAnalyzer = require('./detect-and-analyze-changes.js');
 
+/**
+ * 공개 문서 디렉토리로 복사하지 않는 파일 (승인자/사유 등 내부 정보가 담긴 변경 탐지 설정)
+ */
+const UNPUBLISHED_FILES = ['apidiff.config.yaml', 'apidiff-waivers.yaml'];
+
 class ArchiveRegenerator {
     /**
      * @param {string} archiveDir - Archive 디렉토리 경로
@@ -197,8 +202,8 @@ class ArchiveRegenerator {
         const files = await fs.readdir(archivePath);
 
         for (const file of files) {
-            // 시스템 파일 제외
-            if (file.startsWith('.')) continue;
+            // 시스템 파일과 변경 탐지 설정 파일 제외
+            if (file.startsWith('.') || UNPUBLISHED_FILES.includes(file)) continue;
 
             const srcPath = path.join(archivePath, file);
             const destPath = path.join(targetPath, file);
@@ -0,0 +1,685 @@
+/**
+ * OpenAPI 스키마 재귀 비교기
+ * 중첩 객체, 배열 items, allOf/oneOf/anyOf 조합까지 스키마 트리 전체를 따라가며
+ * 차이점을 위치(location)와 함께 반환
+ *
+ * 위치 표기 예: response.200.data.items[].owner.id
+ *   - 객체 속성: .name
+ *   - 배열 요소: []
+ *   - additionalProperties 값: {}
+ *   - oneOf/anyOf 분기: .oneOf[0]
+ */
+
+/**
+ * 검증 키워드 분류
+ * upper: 값이 작아질수록 엄격 (maxLength 등), lower: 값이 커질수록 엄격 (minLength 등)
+ */
+const UPPER_BOUND_KEYWORDS = ['maxLength', 'maximum', 'exclusiveMaximum', 'maxItems', 'maxProperties'];
+const LOWER_BOUND_KEYWORDS = ['minLength', 'minimum', 'exclusiveMinimum', 'minItems', 'minProperties'];
+
+/**
+ * 값 범위가 넓어지는 포맷 변경 (이전 → 새)
+ */
+const FORMAT_WIDENINGS = {
+    int32: ['int64'],
+    float: ['double']
+};
+
+/**
+ * multipleOf 배수 판단 시 허용하는 부동소수점 오차
+ */
+const MULTIPLE_OF_EPSILON = 1e-9;
+
+class SchemaComparator {
+    /**
+     * @param {RefResolver} oldResolver - 이전 스펙의 참조 해석기
+     * @param {RefResolver} newResolver - 새 스펙의 참조 해석기
+     */
+    constructor(oldResolver, newResolver) {
+        this.oldResolver = oldResolver;
+        this.newResolver = newResolver;
+    }
+
+    /**
+     * 두 스키마 비교
+     * @param {object} oldSchema - 이전 스키마
+     * @param {object} newSchema - 새 스키마
+     * @param {string} location - 비교 시작 위치 (예: response.200)
+     * @param {object} options - { direction: 'request' | 'response' }
+     * @returns {Array<object>} 차이점 목록 ({ kind, location, breaking, description })
+     */
+    compare(oldSchema, newSchema, location, options = {}) {
+        const context = {
+            direction: options.direction || 'response',
+            diffs: []
+        };
+
+        this.compareNode(oldSchema, newSchema, location, context, new Set());
+        return context.diffs;
+    }
+
+    compareNode(oldSchema, newSchema, location, context, visited) {
+        if (!oldSchema || !newSchema) return;
+
+        // 재귀 스키마 보호: 같은 참조 쌍은 한 경로에서 한 번만 비교
+        const oldRef = this.getSchemaRef(oldSchema, this.oldResolver);
+        const newRef = this.getSchemaRef(newSchema, this.newResolver);
+        if (oldRef || newRef) {
+            const refPair = `${oldRef || ''}|${newRef || ''}`;
+            if (visited.has(refPair)) return;
+            visited = new Set(visited).add(refPair);
+        }
+
+        const oldNode = this.normalizeNode(oldSchema, this.oldResolver);
+        const newNode = this.normalizeNode(newSchema, this.newResolver);
+
+        this.compareType(oldNode, newNode, location, context);
+        this.compareEnum(oldNode, newNode, location, context);
+        this.compareConstraints(oldNode, newNode, location, context);
+        this.compareFormat(oldNode, newNode, location, context);
+        this.compareDeprecation(oldNode, newNode, location, context);
+        this.compareExtensions(oldNode, newNode, location, context);
+        this.compareProperties(oldNode, newNode, location, context, visited);
+
+        if (oldNode.items && newNode.items) {
+            this.compareNode(oldNode.items, newNode.items, `${location}[]`, context, visited);
+        }
+
+        if (this.isSchemaObject(oldNode.additionalProperties) && this.isSchemaObject(newNode.additionalProperties)) {
+            this.compareNode(oldNode.additionalProperties, newNode.additionalProperties, `${location}{}`, context, visited);
+        }
+
+        ['oneOf', 'anyOf'].forEach(keyword => {
+            this.compareCompositions(oldNode, newNode, keyword, location, context, visited);
+        });
+    }
+
+    /**
+     * 비교용 스키마 정규화 (참조 해석, allOf 병합, OpenAPI 3.0/3.1 표기 통일)
+     * 표기법만 바뀐 스키마가 Breaking 변경으로 보이지 않도록 양쪽을 같은 형태로 맞춤
+     */
+    normalizeNode(schema, resolver) {
+        const node = this.flattenAllOf(resolver.resolve(schema), resolver);
+        return this.normalizeExclusiveBounds(this.unwrapNullBranch(node, resolver));
+    }
+
+    /**
+     * oneOf/anyOf의 {type: 'null'} 분기를 nullable: true로 변환 (3.1 표기 → 3.0 표기)
+     * 남은 분기가 하나면 그 분기 자체로 펼쳐 3.0의 allOf + nullable과 같게 취급
+     */
+    unwrapNullBranch(node, resolver) {
+        for (const keyword of ['oneOf', 'anyOf']) {
+            const branches = node[keyword];
+            if (!Array.isArray(branches)) continue;
+
+            const remaining = branches.filter(branch => !this.isNullSchema(resolver.resolve(branch)));
+            if (remaining.length === branches.length || remaining.length === 0) continue;
+
+            const { [keyword]: _branches, ...rest } = node;
+            if (remaining.length > 1) {
+                return { ...rest, [keyword]: remaining, nullable: true };
+            }
+
+            const branch = this.flattenAllOf(resolver.resolve(remaining[0]), resolver);
+            return { ...branch, ...rest, nullable: true };
+        }
+
+        return node;
+    }
+
+    isNullSchema(schema) {
+        if (!schema) return false;
+        return schema.type === 'null' || (Array.isArray(schema.type) && schema.type.length === 1 && schema.type[0] === 'null');
+    }
+
+    /**
+     * OpenAPI 3.0의 boolean exclusiveMinimum/Maximum을 3.1 숫자 표기로 변환
+     * { minimum: 5, exclusiveMinimum: true } → { exclusiveMinimum: 5 }, false는 제거
+     */
+    normalizeExclusiveBounds(node) {
+        const bounds = { exclusiveMinimum: 'minimum', exclusiveMaximum: 'maximum' };
+        if (!Object.keys(bounds).some(exclusive => typeof node[exclusive] === 'boolean')) return node;
+
+        const normalized = { ...node };
+        Object.entries(bounds).forEach(([exclusive, bound]) => {
+            if (typeof normalized[exclusive] !== 'boolean') return;
+
+            if (normalized[exclusive] && normalized[bound] !== undefined) {
+                normalized[exclusive] = normalized[bound];
+                delete normalized[bound];
+            } else {
+                delete normalized[exclusive];
+            }
+        });
+
+        return normalized;
+    }
+
+    /**
+     * 재귀 보호용 대표 참조
+     * $ref가 없어도 allOf 단일 참조나 null 분기를 뺀 oneOf/anyOf 단일 참조로 감싼 경우 그 참조를 사용
+     */
+    getSchemaRef(schema, resolver) {
+        if (schema.$ref) return schema.$ref;
+
+        if (Array.isArray(schema.allOf) && schema.allOf.length === 1) {
+            return schema.allOf[0].$ref || null;
+        }
+
+        for (const keyword of ['oneOf', 'anyOf']) {
+            if (!Array.isArray(schema[keyword])) continue;
+
+            const remaining = schema[keyword].filter(branch => !this.isNullSchema(resolver.resolve(branch)));
+            if (remaining.length === 1 && remaining.length < schema[keyword].length) {
+                return remaining[0].$ref || null;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * 타입 및 nullable 비교 (양쪽 모두 type이 선언된 경우만)
+     * OpenAPI 3.0 (nullable: true)과 3.1 (type: [..., "null"]) 표기를 정규화한 뒤 비교하므로
+     * 표기법만 바뀐 경우는 변경으로 보지 않음
+     */
+    compareType(oldNode, newNode, location, context) {
+        if (oldNode.type === undefined || newNode.type === undefined) return;
+
+        const target = location || 'schema';
+        const oldType = this.normalizeType(oldNode);
+        const newType = this.normalizeType(newNode);
+        const before = oldType.types.join('|');
+        const after = newType.types.join('|');
+
+        if (before !== after && oldType.types.length > 0 && newType.types.length > 0) {
+            // integer → number 는 값 범위 확장 (요청에서는 안전)
+            const widened = before === 'integer' && after === 'number';
+
+            this.addDiff(context, {
+                kind: 'TYPE_CHANGED',
+                location,
+                breaking: this.isBreakingFor(context, { request: !widened, response: true }),
+                before,
+                after,
+                description: `타입이 변경되었습니다: ${target} (${before} → ${after})`
+            });
+        }
+
+        if (!oldType.nullable && newType.nullable) {
+            this.addDiff(context, {
+                kind: 'BECAME_NULLABLE',
+                location,
+                breaking: this.isBreakingFor(context, { request: false, response: true }),
+                before: false,
+                after: true,
+                description: `null 허용으로 변경되었습니다: ${target}`
+            });
+        } else if (oldType.nullable && !newType.nullable) {
+            this.addDiff(context, {
+                kind: 'BECAME_NON_NULLABLE',
+                location,
+                breaking: this.isBreakingFor(context, { request: true, response: false }),
+                before: true,
+                after: false,
+                description: `null 비허용으로 변경되었습니다: ${target}`
+            });
+        }
+    }
+
+    /**
+     * 타입 정규화
+     * @returns {{types: Array<string>, nullable: boolean}} null을 제외한 타입 목록(정렬)과 null 허용 여부
+     */
+    normalizeType(node) {
+        const declared = Array.isArray(node.type) ? node.type : [node.type];
+
+        return {
+            types: declared.filter(type => type && type !== 'null').sort(),
+            nullable: declared.includes('null') || node.nullable === true
+        };
+    }
+
+    /**
+     * 검증 키워드(min/max, length, items, pattern, multipleOf, uniqueItems) 비교
+     * 요청: 제약 강화가 Breaking, 응답: 제약 완화가 Breaking
+     */
+    compareConstraints(oldNode, newNode, location, context) {
+        [...UPPER_BOUND_KEYWORDS, ...LOWER_BOUND_KEYWORDS].forEach(keyword => {
+            const before = oldNode[keyword];
+            const after = newNode[keyword];
+            if (before === after) return;
+
+            let tightened;
+            if (before === undefined) {
+                tightened = true;
+            } else if (after === undefined) {
+                tightened = false;
+            } else {
+                tightened = UPPER_BOUND_KEYWORDS.includes(keyword) ? after < before : after > before;
+            }
+
+            this.addConstraintDiff(context, location, keyword, before, after, tightened);
+        });
+
+        if (oldNode.multipleOf !== newNode.multipleOf) {
+            // 새 배수가 이전 배수의 배수면 허용 값이 줄어듦
+            const tightened = newNode.multipleOf !== undefined &&
+                (oldNode.multipleOf === undefined || this.isMultipleOf(newNode.multipleOf, oldNode.multipleOf));
+            this.addConstraintDiff(context, location, 'multipleOf', oldNode.multipleOf, newNode.multipleOf, tightened);
+        }
+
+        if (!!oldNode.uniqueItems !== !!newNode.uniqueItems) {
+            this.addConstraintDiff(context, location, 'uniqueItems', !!oldNode.uniqueItems, !!newNode.uniqueItems, !!newNode.uniqueItems);
+        }
+
+        if (oldNode.pattern !== newNode.pattern) {
+            if (oldNode.pattern === undefined || newNode.pattern === undefined) {
+                this.addConstraintDiff(context, location, 'pattern', oldNode.pattern, newNode.pattern, newNode.pattern !== undefined);
+            } else {
+                // 정규식 간 포함 관계는 판단할 수 없으므로 양방향 모두 Breaking
+                this.addDiff(context, {
+                    kind: 'PATTERN_CHANGED',
+                    location,
+                    breaking: this.isBreakingFor(context, { request: true, response: true }),
+                    keyword: 'pattern',
+                    before: oldNode.pattern,
+                    after: newNode.pattern,
+                    description: `pattern이 변경되었습니다: ${location || 'schema'} (${oldNode.pattern} → ${newNode.pattern})`
+                });
+            }
+        }
+    }
+
+    /**
+     * value가 divisor의 정수배인지 확인
+     * 소수 배수(0.3 % 0.1 !== 0)의 부동소수점 오차를 감안해 몫이 정수에 충분히 가까운지로 판단
+     */
+    isMultipleOf(value, divisor) {
+        if (!divisor) return false;
+
+        const quotient = value / divisor;
+        return Math.abs(quotient - Math.round(quotient)) < MULTIPLE_OF_EPSILON;
+    }
+
+    addConstraintDiff(context, location, keyword, before, after, tightened) {
+        const target = location || 'schema';
+        const format = (value) => (value === undefined ? '없음' : value);
+
+        this.addDiff(context, {
+            kind: tightened ? 'CONSTRAINT_TIGHTENED' : 'CONSTRAINT_LOOSENED',
+            location,
+            breaking: tightened
+                ? this.isBreakingFor(context, { request: true, response: false })
+                : this.isBreakingFor(context, { request: false, response: true }),
+            keyword,
+            before,
+            after,
+            description: `${keyword} 제약이 ${tightened ? '강화' : '완화'}되었습니다: ${target} (${format(before)} → ${format(after)})`
+        });
+    }
+
+    /**
+     * 포맷 비교
+     * 추가/범위 축소는 강화, 삭제/범위 확장(int32 → int64)은 완화, 그 외 (date → date-time)는 양방향 Breaking
+     */
+    compareFormat(oldNode, newNode, location, context) {
+        const before = oldNode.format;
+        const after = newNode.format;
+        if (before === after) return;
+
+        let change;
+        if (before === undefined) {
+            change = 'tightened';
+        } else if (after === undefined || (FORMAT_WIDENINGS[before] || []).includes(after)) {
+            change = 'loosened';
+        } else if ((FORMAT_WIDENINGS[after] || []).includes(before)) {
+            change = 'tightened';
+        } else {
+            change = 'incompatible';
+        }
+
+        const breakingRule = {
+            tightened: { request: true, response: false },
+            loosened: { request: false, response: true },
+            incompatible: { request: true, response: true }
+        }[change];
+
+        this.addDiff(context, {
+            kind: 'FORMAT_CHANGED',
+            location,
+            breaking: this.isBreakingFor(context, breakingRule),
+            keyword: 'format',
+            change,
+            before,
+            after,
+            description: `포맷이 변경되었습니다: ${location || 'schema'} (${before || '없음'} → ${after || '없음'})`
+        });
+    }
+
+    /**
+     * enum 값 비교
+     * 요청: 값 삭제가 Breaking (기존 클라이언트가 보내던 값 거부)
+     * 응답: 값 추가가 Breaking (클라이언트가 모르는 값 수신)
+     */
+    compareEnum(oldNode, newNode, location, context) {
+        const oldEnum = this.getEnumValues(oldNode);
+        const newEnum = this.getEnumValues(newNode);
+        const target = location || 'schema';
+
+        if (!oldEnum && !newEnum) return;
+
+        if (!oldEnum) {
+            this.addDiff(context, {
+                kind: 'ENUM_CONSTRAINT_ADDED',
+                location,
+                breaking: this.isBreakingFor(context, { request: true, response: false }),
+                after: newEnum,
+                description: `enum 제약이 추가되었습니다: ${target} [${this.formatValues(newEnum)}]`
+            });
+            return;
+        }
+
+        if (!newEnum) {
+            this.addDiff(context, {
+                kind: 'ENUM_CONSTRAINT_REMOVED',
+                location,
+                breaking: this.isBreakingFor(context, { request: false, response: true }),
+                before: oldEnum,
+                description: `enum 제약이 삭제되었습니다: ${target}`
+            });
+            return;
+        }
+
+        const oldKeys = oldEnum.map(value => JSON.stringify(value));
+        const newKeys = newEnum.map(value => JSON.stringify(value));
+        const removed = oldEnum.filter((value, index) => !newKeys.includes(oldKeys[index]));
+        const added = newEnum.filter((value, index) => !oldKeys.includes(newKeys[index]));
+
+        if (removed.length > 0) {
+            this.addDiff(context, {
+                kind: 'ENUM_VALUE_REMOVED',
+                location,
+                breaking: this.isBreakingFor(context, { request: true, response: false }),
+                values: removed,
+                before: oldEnum,
+                after: newEnum,
+                description: `enum 값이 삭제되었습니다: ${target} [${this.formatValues(removed)}]`
+            });
+        }
+
+        if (added.length > 0) {
+            this.addDiff(context, {
+                kind: 'ENUM_VALUE_ADDED',
+                location,
+                breaking: this.isBreakingFor(context, { request: false, response: true }),
+                values: added,
+                before: oldEnum,
+                after: newEnum,
+                description: `enum 값이 추가되었습니다: ${target} [${this.formatValues(added)}]`
+            });
+        }
+    }
+
+    /**
+     * enum 값 목록 (OpenAPI 3.1 const는 단일 값 enum으로 취급)
+     */
+    getEnumValues(node) {
+        // null은 nullable 비교에서 다루므로 제외 (3.1 nullable enum은 null을 값으로 포함)
+        if (Array.isArray(node.enum)) return node.enum.filter(value => value !== null);
+        if (node.const !== undefined) return [node.const];
+        return null;
+    }
+
+    formatValues(values) {
+        return values.map(value => (typeof value === 'string' ? value : JSON.stringify(value))).join(', ');
+    }
+
+    /**
+     * deprecated 플래그 비교 (Breaking 아님, deprecation 분류로 기록)
+     */
+    compareDeprecation(oldNode, newNode, location, context) {
+        const wasDeprecated = !!oldNode.deprecated;
+        const isDeprecated = !!newNode.deprecated;
+        if (wasDeprecated === isDeprecated) return;
+
+        const target = location || 'schema';
+        this.addDiff(context, {
+            kind: isDeprecated ? 'PROPERTY_DEPRECATED' : 'PROPERTY_UNDEPRECATED',
+            category: 'deprecation',
+            location,
+            breaking: false,
+            description: isDeprecated
+                ? `속성이 deprecated 되었습니다: ${target}`
+                : `속성의 deprecated가 해제되었습니다: ${target}`
+        });
+    }
+
+    /**
+     * x-* 확장 필드 비교 (Breaking 여부는 탐지기 설정에서 판단하므로 extension 분류로만 기록)
+     */
+    compareExtensions(oldNode, newNode, location, context) {
+        const target = location || 'schema';
+        const labels = { added: '추가', removed: '삭제', changed: '변경' };
+
+        this.diffExtensions(oldNode, newNode).forEach(({ extension, change, before, after }) => {
+            this.addDiff(context, {
+                kind: `EXTENSION_${change.toUpperCase()}`,
+                category: 'extension',
+                extension,
+                location,
+                breaking: false,
+                before,
+                after,
+                description: `확장 필드가 ${labels[change]}되었습니다: ${target} ${extension}`
+            });
+        });
+    }
+
+    /**
+     * 두 노드의 x-* 확장 필드 차이
+     * @returns {Array<{extension: string, change: 'added'|'removed'|'changed', before: *, after: *}>}
+     */
+    diffExtensions(oldNode, newNode) {
+        const extensionKeys = (node) => Object.keys(node || {}).filter(key => key.startsWith('x-'));
+        const keys = new Set([...extensionKeys(oldNode), ...extensionKeys(newNode)]);
+        const diffs = [];
+
+        keys.forEach(extension => {
+            const hasOld = Object.prototype.hasOwnProperty.call(oldNode || {}, extension);
+            const hasNew = Object.prototype.hasOwnProperty.call(newNode || {}, extension);
+            const before = hasOld ? oldNode[extension] : undefined;
+            const after = hasNew ? newNode[extension] : undefined;
+
+            if (!hasNew) {
+                diffs.push({ extension, change: 'removed', before, after });
+            } else if (!hasOld) {
+                diffs.push({ extension, change: 'added', before, after });
+            } else if (JSON.stringify(before) !== JSON.stringify(after)) {
+                diffs.push({ extension, change: 'changed', before, after });
+            }
+        });
+
+        return diffs;
+    }
+
+    /**
+     * 객체 속성 비교 (추가/삭제/필수 여부 변경)
+     */
+    compareProperties(oldNode, newNode, location, context, visited) {
+        const oldProps = oldNode.properties || {};
+        const newProps = newNode.properties || {};
+        const oldRequired = oldNode.required || [];
+        const newRequired = newNode.required || [];
+
+        Object.keys(oldProps).forEach(prop => {
+            const propLocation = this.joinLocation(location, prop);
+
+            if (!(prop in newProps)) {
+                if (!this.isVisible(oldProps[prop], this.oldResolver, context)) return;
+
+                this.addDiff(context, {
+                    kind: 'PROPERTY_REMOVED',
+                    location: propLocation,
+                    breaking: this.isBreakingFor(context, { request: true, response: true }),
+                    wasDeprecated: !!this.oldResolver.resolve(oldProps[prop])?.deprecated,
+                    description: `속성이 삭제되었습니다: ${propLocation}`
+                });
+                return;
+            }
+
+            const wasRequired = oldRequired.includes(prop);
+            const isRequired = newRequired.includes(prop);
+
+            if (wasRequired && !isRequired) {
+                this.addDiff(context, {
+                    kind: 'PROPERTY_BECAME_OPTIONAL',
+                    location: propLocation,
+                    breaking: this.isBreakingFor(context, { request: false, response: true }),
+                    description: `필수 속성이 선택 속성으로 변경되었습니다: ${propLocation}`
+                });
+            } else if (!wasRequired && isRequired) {
+                this.addDiff(context, {
+                    kind: 'PROPERTY_BECAME_REQUIRED',
+                    location: propLocation,
+                    breaking: this.isBreakingFor(context, { request: true, response: false }),
+                    description: `선택 속성이 필수 속성으로 변경되었습니다: ${propLocation}`
+                });
+            }
+
+            this.compareNode(oldProps[prop], newProps[prop], propLocation, context, visited);
+        });
+
+        Object.keys(newProps).forEach(prop => {
+            if (prop in oldProps) return;
+            if (!this.isVisible(newProps[prop], this.newResolver, context)) return;
+
+            const propLocation = this.joinLocation(location, prop);
+
+            if (newRequired.includes(prop)) {
+                this.addDiff(context, {
+                    kind: 'REQUIRED_PROPERTY_ADDED',
+                    location: propLocation,
+                    breaking: this.isBreakingFor(context, { request: true, response: false }),
+                    description: `필수 속성이 추가되었습니다: ${propLocation}`
+                });
+                return;
+            }
+
+            this.addDiff(context, {
+                kind: 'PROPERTY_ADDED',
+                location: propLocation,
+                breaking: this.isBreakingFor(context, { request: false, response: false }),
+                description: `속성이 추가되었습니다: ${propLocation}`
+            });
+        });
+    }
+
+    /**
+     * oneOf/anyOf 분기 비교
+     * $ref 분기는 컴포넌트 이름으로, 인라인 분기는 순서로 매칭
+     */
+    compareCompositions(oldNode, newNode, keyword, location, context, visited) {
+        const oldBranches = this.indexBranches(oldNode[keyword], this.oldResolver);
+        const newBranches = this.indexBranches(newNode[keyword], this.newResolver);
+
+        oldBranches.forEach((branch, key) => {
+            const branchLocation = `${location}.${keyword}[${branch.index}]`;
+            const matching = newBranches.get(key);
+
+            if (!matching) {
+                this.addDiff(context, {
+                    kind: 'COMPOSITION_BRANCH_REMOVED',
+                    location: branchLocation,
+                    breaking: this.isBreakingFor(context, { request: true, response: false }),
+                    description: `${keyword} 분기가 삭제되었습니다: ${branchLocation} (${key})`
+                });
+                return;
+            }
+
+            this.compareNode(branch.schema, matching.schema, branchLocation, context, visited);
+        });
+
+        newBranches.forEach((branch, key) => {
+            if (oldBranches.has(key)) return;
+
+            const branchLocation = `${location}.${keyword}[${branch.index}]`;
+            this.addDiff(context, {
+                kind: 'COMPOSITION_BRANCH_ADDED',
+                location: branchLocation,
+                breaking: this.isBreakingFor(context, { request: false, response: true }),
+                description: `${keyword} 분기가 추가되었습니다: ${branchLocation} (${key})`
+            });
+        });
+    }
+
+    indexBranches(branches, resolver) {
+        const indexed = new Map();
+
+        (branches || []).forEach((schema, index) => {
+            const key = resolver.getRefName(schema) || `#${index}`;
+            indexed.set(key, { schema, index });
+        });
+
+        return indexed;
+    }
+
+    /**
+     * allOf 분기를 하나의 스키마로 병합 (properties, required 합집합)
+     */
+    flattenAllOf(schema, resolver, seen = new Set()) {
+        if (!schema || !Array.isArray(schema.allOf)) return schema || {};
+        if (seen.has(schema)) return {};
+        seen.add(schema);
+
+        const { allOf, ...rest } = schema;
+        const merged = { ...rest, properties: { ...(rest.properties || {}) }, required: [...(rest.required || [])] };
+
+        allOf.forEach(branch => {
+            const resolved = this.flattenAllOf(resolver.resolve(branch), resolver, seen);
+            const { properties, required, ...keywords } = resolved;
+
+            Object.keys(keywords).forEach(key => {
+                if (!(key in merged)) merged[key] = keywords[key];
+            });
+            Object.assign(merged.properties, properties || {});
+            (required || []).forEach(prop => {
+                if (!merged.required.includes(prop)) merged.required.push(prop);
+            });
+        });
+
+        return merged;
+    }
+
+    /**
+     * 비교 방향별 Breaking 여부 결정
+     * 요청(request)은 클라이언트가 보내는 쪽, 응답(response)은 클라이언트가 받는 쪽
+     * @param {object} rule - { request: boolean, response: boolean }
+     */
+    isBreakingFor(context, rule) {
+        return !!rule[context.direction];
+    }
+
+    /**
+     * 방향별 노출 여부 (readOnly 속성은 요청에, writeOnly 속성은 응답에 나타나지 않음)
+     */
+    isVisible(schema, resolver, context) {
+        const resolved = resolver.resolve(schema) || {};
+        if (context.direction === 'request') return !resolved.readOnly;
+        return !resolved.writeOnly;
+    }
+
+    isSchemaObject(value) {
+        return !!value && typeof value === 'object';
+    }
+
+    joinLocation(location, prop) {
+        return location ? `${location}.${prop}` : prop;
+    }
+
+    addDiff(context, diff) {
+        context.diffs.push(diff);
+    }
+}
+
+module.exports = SchemaComparator;
@@ -0,0 +1,393 @@
+/**
+ * Swagger 2.0 → OpenAPI 3 정규화
+ * Swagger 2.0 스펙(definitions, consumes/produces, body/formData 파라미터)을 OAS3 구조로 변환해
+ * 2.0 → 3.0 → 3.1 으로 이어지는 버전 이력도 같은 모델로 비교/집계할 수 있게 함
+ * OAS3 스펙은 그대로 반환
+ */
+
+/**
+ * Swagger 2.0 로컬 참조 접두사 → OAS3 components 경로
+ */
+const REF_PREFIXES = {
+    '#/definitions/': '#/components/schemas/',
+    '#/parameters/': '#/components/parameters/',
+    '#/responses/': '#/components/responses/'
+};
+
+/**
+ * Swagger 2.0 파라미터/헤더에서 schema로 옮길 키워드
+ */
+const SCHEMA_KEYWORDS = [
+    'type', 'format', 'items', 'enum', 'default', 'minimum', 'maximum', 'exclusiveMinimum', 'exclusiveMaximum',
+    'minLength', 'maxLength', 'pattern', 'minItems', 'maxItems', 'uniqueItems', 'multipleOf'
+];
+
+/**
+ * collectionFormat → OAS3 style/explode (csv는 위치별 기본 style, explode: false)
+ */
+const COLLECTION_FORMATS = {
+    ssv: { style: 'spaceDelimited', explode: false },
+    pipes: { style: 'pipeDelimited', explode: false },
+    multi: { style: 'form', explode: true }
+};
+
+/**
+ * Path Item에서 오퍼레이션으로 취급하는 키
+ */
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch'];
+
+const DEFAULT_MEDIA_TYPES = ['application/json'];
+
+class SwaggerNormalizer {
+    /**
+     * @param {object} spec - Swagger 2.0 스펙
+     */
+    constructor(spec) {
+        this.spec = JSON.parse(JSON.stringify(spec));
+    }
+
+    /**
+     * Swagger 2.0 스펙 여부 확인
+     */
+    static isSwagger2(spec) {
+        return !!spec && typeof spec === 'object' && String(spec.swagger || '').startsWith('2.');
+    }
+
+    /**
+     * Swagger 2.0이면 OAS3로 변환, 그 외(OAS3, null)는 그대로 반환
+     */
+    static normalize(spec) {
+        if (!SwaggerNormalizer.isSwagger2(spec)) return spec;
+        return new SwaggerNormalizer(spec).convert();
+    }
+
+    convert() {
+        const spec = this.spec;
+        const result = { openapi: '3.0.3', info: spec.info || {} };
+
+        const servers = this.convertServers();
+        if (servers.length > 0) result.servers = servers;
+
+        result.paths = {};
+        Object.keys(spec.paths || {}).forEach(path => {
+            result.paths[path] = this.convertPathItem(spec.paths[path]);
+        });
+
+        const components = this.convertComponents();
+        if (Object.keys(components).length > 0) result.components = components;
+
+        ['security', 'tags', 'externalDocs'].forEach(key => {
+            if (spec[key] !== undefined) result[key] = spec[key];
+        });
+        this.copyExtensions(spec, result);
+
+        return result;
+    }
+
+    /**
+     * host + basePath + schemes → servers
+     */
+    convertServers() {
+        const { host, basePath = '', schemes } = this.spec;
+        if (!host) return basePath ? [{ url: basePath }] : [];
+
+        return (schemes && schemes.length > 0 ? schemes : ['https'])
+            .map(scheme => ({ url: `${scheme}://${host}${basePath}` }));
+    }
+
+    convertComponents() {
+        const spec = this.spec;
+        const components = {};
+
+        if (spec.definitions) {
+            components.schemas = this.mapValues(spec.definitions, schema => this.convertSchema(schema));
+        }
+
+        // body/formData 공용 파라미터는 OAS3에서 requestBodies로 이동
+        const parameters = {};
+        const requestBodies = {};
+        Object.entries(spec.parameters || {}).forEach(([name, param]) => {
+            if (this.isBodyParameter(param)) {
+                requestBodies[name] = this.convertRequestBody([param], spec.consumes);
+            } else {
+                parameters[name] = this.convertParameter(param);
+            }
+        });
+        if (Object.keys(parameters).length > 0) components.parameters = parameters;
+        if (Object.keys(requestBodies).length > 0) components.requestBodies = requestBodies;
+
+        if (spec.responses) {
+            components.responses = this.mapValues(spec.responses, response => this.convertResponse(response, spec.produces));
+        }
+
+        if (spec.securityDefinitions) {
+            components.securitySchemes = this.mapValues(spec.securityDefinitions, scheme => this.convertSecurityScheme(scheme));
+        }
+
+        return components;
+    }
+
+    /**
+     * Path Item 변환 (path 수준 body/formData 파라미터는 각 오퍼레이션의 requestBody로 내려보냄)
+     */
+    convertPathItem(pathItem) {
+        const result = {};
+        const sharedParameters = pathItem.parameters || [];
+        const sharedBodyParameters = sharedParameters.filter(param => this.isBodyParameter(param));
+        const pathParameters = sharedParameters.filter(param => !this.isBodyParameter(param));
+
+        Object.keys(pathItem).forEach(key => {
+            if (HTTP_METHODS.includes(key)) {
+                result[key] = this.convertOperation(pathItem[key], sharedBodyParameters);
+            } else if (key !== 'parameters') {
+                result[key] = key === '$ref' ? this.convertRef(pathItem[key]) : pathItem[key];
+            }
+        });
+
+        if (pathParameters.length > 0) {
+            result.parameters = pathParameters.map(param => this.convertParameter(param));
+        }
+
+        return result;
+    }
+
+    convertOperation(operation, sharedBodyParameters = []) {
+        const spec = this.spec;
+        const consumes = operation.consumes || spec.consumes;
+        const produces = operation.produces || spec.produces;
+        const result = {};
+
+        ['tags', 'summary', 'description', 'externalDocs', 'operationId'].forEach(key => {
+            if (operation[key] !== undefined) result[key] = operation[key];
+        });
+
+        const allParameters = operation.parameters || [];
+        const parameters = allParameters.filter(param => !this.isBodyParameter(param));
+        const ownBodyParameters = allParameters.filter(param => this.isBodyParameter(param));
+        const bodyParameters = ownBodyParameters.length > 0 ? ownBodyParameters : sharedBodyParameters;
+
+        if (parameters.length > 0) {
+            result.parameters = parameters.map(param => this.convertParameter(param));
+        }
+
+        if (bodyParameters.length > 0) {
+            // 공용 body 파라미터 하나만 참조하면 components.requestBodies 참조 유지
+            const bodyRef = bodyParameters.length === 1 && bodyParameters[0].$ref &&
+                this.resolveParameter(bodyParameters[0]).in === 'body' && bodyParameters[0].$ref;
+            result.requestBody = bodyRef
+                ? { $ref: bodyRef.replace('#/parameters/', '#/components/requestBodies/') }
+                : this.convertRequestBody(bodyParameters, consumes);
+        }
+
+        if (operation.responses) {
+            result.responses = this.mapValues(operation.responses, response => this.convertResponse(response, produces));
+        }
+
+        ['deprecated', 'security'].forEach(key => {
+            if (operation[key] !== undefined) result[key] = operation[key];
+        });
+        this.copyExtensions(operation, result);
+
+        return result;
+    }
+
+    /**
+     * body 또는 formData 파라미터 여부 (공용 파라미터 참조는 대상을 확인)
+     */
+    isBodyParameter(param) {
+        const target = this.resolveParameter(param);
+        return !!target && (target.in === 'body' || target.in === 'formData');
+    }
+
+    /**
+     * 공용 파라미터 참조(#/parameters/...)를 대상 파라미터로 해석
+     */
+    resolveParameter(param) {
+        if (!param || !param.$ref) return param;
+        return (this.spec.parameters || {})[param.$ref.replace('#/parameters/', '')];
+    }
+
+    convertParameter(param) {
+        if (param.$ref) return { $ref: this.convertRef(param.$ref) };
+
+        const result = { name: param.name, in: param.in };
+        ['description', 'required', 'deprecated', 'allowEmptyValue'].forEach(key => {
+            if (param[key] !== undefined) result[key] = param[key];
+        });
+
+        if (param.type === 'array') {
+            const collection = COLLECTION_FORMATS[param.collectionFormat];
+            if (collection) {
+                result.style = collection.style;
+                result.explode = collection.explode;
+            } else if (param.in === 'query') {
+                // csv(기본값)는 form style에서 explode: false와 같음
+                result.explode = false;
+            }
+        }
+
+        result.schema = this.extractSchema(param);
+        this.copyExtensions(param, result);
+
+        return result;
+    }
+
+    /**
+     * body 파라미터 또는 formData 파라미터 목록 → requestBody
+     */
+    convertRequestBody(parameters, consumes) {
+        const bodyParameters = parameters.map(param => this.resolveParameter(param));
+        const bodyParam = bodyParameters.find(param => param.in === 'body');
+
+        if (bodyParam) {
+            const result = { content: {} };
+            const schema = this.convertSchema(bodyParam.schema || {});
+            (consumes && consumes.length > 0 ? consumes : DEFAULT_MEDIA_TYPES).forEach(mediaType => {
+                result.content[mediaType] = { schema };
+            });
+            if (bodyParam.description !== undefined) result.description = bodyParam.description;
+            if (bodyParam.required) result.required = true;
+            this.copyExtensions(bodyParam, result);
+            return result;
+        }
+
+        // formData 파라미터는 하나의 object 스키마로 합침 (file 타입이 있으면 multipart)
+        const schema = { type: 'object', properties: {} };
+        const required = [];
+        bodyParameters.forEach(param => {
+            const property = this.extractSchema(param);
+            if (param.description !== undefined) property.description = param.description;
+            schema.properties[param.name] = property;
+            if (param.required) required.push(param.name);
+        });
+        if (required.length > 0) schema.required = required;
+
+        const hasFile = bodyParameters.some(param => param.type === 'file');
+        const formMediaTypes = (consumes || []).filter(mediaType =>
+            mediaType === 'multipart/form-data' || mediaType === 'application/x-www-form-urlencoded');
+        const mediaTypes = formMediaTypes.length > 0
+            ? formMediaTypes
+            : [hasFile ? 'multipart/form-data' : 'application/x-www-form-urlencoded'];
+
+        const result = { content: {} };
+        mediaTypes.forEach(mediaType => {
+            result.content[mediaType] = { schema };
+        });
+        if (required.length > 0) result.required = true;
+
+        return result;
+    }
+
+    convertResponse(response, produces) {
+        if (response.$ref) return { $ref: this.convertRef(response.$ref) };
+
+        const result = { description: response.description || '' };
+
+        if (response.headers) {
+            result.headers = this.mapValues(response.headers, header => {
+                const converted = { schema: this.extractSchema(header) };
+                if (header.description !== undefined) converted.description = header.description;
+                return converted;
+            });
+        }
+
+        if (response.schema) {
+            const schema = this.convertSchema(response.schema);
+            result.content = {};
+            (produces && produces.length > 0 ? produces : DEFAULT_MEDIA_TYPES).forEach(mediaType => {
+                result.content[mediaType] = { schema };
+                if (response.examples && response.examples[mediaType] !== undefined) {
+                    result.content[mediaType].example = response.examples[mediaType];
+                }
+            });
+        }
+
+        this.copyExtensions(response, result);
+        return result;
+    }
+
+    convertSecurityScheme(scheme) {
+        if (scheme.type === 'basic') {
+            return { type: 'http', scheme: 'basic', ...(scheme.description && { description: scheme.description }) };
+        }
+
+        if (scheme.type !== 'oauth2') return { ...scheme };
+
+        const flowNames = { implicit: 'implicit', password: 'password', application: 'clientCredentials', accessCode: 'authorizationCode' };
+        const flow = { scopes: scheme.scopes || {} };
+        if (scheme.authorizationUrl) flow.authorizationUrl = scheme.authorizationUrl;
+        if (scheme.tokenUrl) flow.tokenUrl = scheme.tokenUrl;
+
+        return {
+            type: 'oauth2',
+            ...(scheme.description && { description: scheme.description }),
+            flows: { [flowNames[scheme.flow] || scheme.flow]: flow }
+        };
+    }
+
+    /**
+     * 파라미터/헤더의 타입 키워드를 schema 객체로 추출
+     */
+    extractSchema(source) {
+        const schema = {};
+        SCHEMA_KEYWORDS.forEach(key => {
+            if (source[key] !== undefined) schema[key] = source[key];
+        });
+        return this.convertSchema(schema);
+    }
+
+    /**
+     * 스키마 재귀 변환 ($ref 경로, x-nullable, file 타입, discriminator)
+     */
+    convertSchema(schema) {
+        if (Array.isArray(schema)) return schema.map(item => this.convertSchema(item));
+        if (!schema || typeof schema !== 'object') return schema;
+
+        const result = {};
+        Object.keys(schema).forEach(key => {
+            const value = schema[key];
+
+            if (key === '$ref') {
+                result.$ref = this.convertRef(value);
+            } else if (key === 'x-nullable') {
+                if (value === true) result.nullable = true;
+            } else if (key === 'type' && value === 'file') {
+                result.type = 'string';
+                result.format = 'binary';
+            } else if (key === 'discriminator' && typeof value === 'string') {
+                result.discriminator = { propertyName: value };
+            } else if (key === 'properties' || key === 'definitions' || key === 'patternProperties') {
+                result[key] = this.mapValues(value || {}, child => this.convertSchema(child));
+            } else if (key === 'example' || key === 'enum' || key === 'default' || key.startsWith('x-')) {
+                result[key] = value;
+            } else {
+                result[key] = this.convertSchema(value);
+            }
+        });
+
+        return result;
+    }
+
+    convertRef(ref) {
+        if (typeof ref !== 'string') return ref;
+
+        const prefix = Object.keys(REF_PREFIXES).find(candidate => ref.startsWith(candidate));
+        return prefix ? REF_PREFIXES[prefix] + ref.slice(prefix.length) : ref;
+    }
+
+    copyExtensions(source, target) {
+        Object.keys(source).filter(key => key.startsWith('x-')).forEach(key => {
+            target[key] = source[key];
+        });
+    }
+
+    mapValues(object, mapper) {
+        const result = {};
+        Object.keys(object).forEach(key => {
+            result[key] = mapper(object[key], key);
+        });
+        return result;
+    }
+}
+
+module.exports = SwaggerNormalizer;
@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ApiDiffWaivers = require('../scripts/apidiff-waivers.js');
+
+const approval = { reason: '소비자 전환 완료', approver: 'photo-team' };
+
+const removal = { type: 'ENDPOINT_REMOVED', method: 'DELETE', path: '/api/v1/photos/{id}' };
+
+test('method/path 없는 엔드포인트 단위 waiver는 제외', (t) => {
+    t.mock.method(console, 'warn', () => {});
+
+    const waivers = new ApiDiffWaivers([{ type: 'ENDPOINT_REMOVED', ...approval }]);
+
+    assert.equal(waivers.waivers.length, 0);
+    assert.equal(waivers.match(removal), null);
+    assert.equal(console.warn.mock.callCount(), 1);
+});
+
+test('reason/approver 없는 waiver는 제외', (t) => {
+    t.mock.method(console, 'warn', () => {});
+
+    const waivers = new ApiDiffWaivers([{ ...removal, reason: '사유만 있음' }]);
+
+    assert.equal(waivers.match(removal), null);
+});
+
+test('문서 단위 변경 유형은 method/path 없이 매칭', () => {
+    const waiver = { type: 'SERVER_REMOVED', ...approval };
+    const waivers = new ApiDiffWaivers([waiver]);
+
+    assert.equal(waivers.match({ type: 'SERVER_REMOVED', location: 'servers[0]' }), waiver);
+    assert.equal(waivers.match({ type: 'SERVER_ADDED' }), null);
+});
+
+test('method는 대소문자 구분 없이, path는 정확히 매칭', () => {
+    const waiver = { ...removal, method: 'delete', ...approval };
+    const waivers = new ApiDiffWaivers([waiver]);
+
+    assert.equal(waivers.match(removal), waiver);
+    assert.equal(waivers.match({ ...removal, method: 'GET' }), null);
+    assert.equal(waivers.match({ ...removal, path: '/api/v2/photos/{id}' }), null);
+});
+
+test('location을 지정하면 같은 엔드포인트의 해당 위치 변경만 매칭', () => {
+    const waiver = {
+        type: 'RESPONSE_PROPERTY_REMOVED', method: 'GET', path: '/api/v1/photos', location: 'response.200.photoUrl', ...approval
+    };
+    const waivers = new ApiDiffWaivers([waiver]);
+    const change = { type: 'RESPONSE_PROPERTY_REMOVED', method: 'GET', path: '/api/v1/photos' };
+
+    assert.equal(waivers.match({ ...change, location: 'response.200.photoUrl' }), waiver);
+    assert.equal(waivers.match({ ...change, location: 'response.200.title' }), null);
+});
+
+test('group을 지정하면 해당 그룹 분석에서만 매칭', () => {
+    const waiver = { ...removal, group: 'internal', ...approval };
+    const waivers = new ApiDiffWaivers([waiver]);
+
+    assert.equal(waivers.match(removal, 'internal'), waiver);
+    assert.equal(waivers.match(removal, 'public'), null);
+    assert.equal(waivers.match(removal), null);
+    assert.equal(new ApiDiffWaivers([{ ...removal, ...approval }]).match(removal, 'public').path, removal.path);
+});
+
+test('load는 후보 디렉토리 중 waiver 파일이 있는 첫 디렉토리를 사용', (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'apidiff-waivers-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    t.mock.method(console, 'log', () => {});
+    fs.writeFileSync(path.join(dir, 'apidiff-waivers.yaml'), [
+        'waivers:',
+        '  - type: ENDPOINT_REMOVED',
+        '    method: DELETE',
+        '    path: /api/v1/photos/{id}',
+        '    reason: 전환 완료',
+        '    approver: photo-team'
+    ].join('\n'), 'utf8');
+
+    const waivers = ApiDiffWaivers.load([path.join(dir, 'missing'), dir]);
+
+    assert.equal(waivers.sourcePath, path.join(dir, 'apidiff-waivers.yaml'));
+    assert.equal(waivers.match(removal).approver, 'photo-team');
+    assert.equal(ApiDiffWaivers.load([path.join(dir, 'missing')]).waivers.length, 0);
+});
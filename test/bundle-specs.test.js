@@ -0,0 +1,154 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SpecBundler = require('../scripts/bundle-specs.js');
+
+/**
+ * 임시 디렉토리에 { 상대 경로: 내용 } 파일을 만들고 디렉토리 경로 반환 (테스트 종료 시 삭제)
+ */
+function createFixture(t, files) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'apidiff-bundle-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    Object.entries(files).forEach(([file, content]) => {
+        const filePath = path.join(dir, file);
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(filePath, content, 'utf8');
+    });
+
+    return dir;
+}
+
+test('번들 파일 경로는 원본 확장자 앞에 .bundled 접미사', () => {
+    assert.equal(SpecBundler.getBundledPath('/specs/apiDocs-all.yaml'), path.join('/specs', 'apiDocs-all.bundled.yaml'));
+    assert.equal(SpecBundler.getBundledPath('/specs/openapi.json'), path.join('/specs', 'openapi.bundled.json'));
+    assert.equal(SpecBundler.isBundledFile('apiDocs-all.bundled.yaml'), true);
+    assert.equal(SpecBundler.isBundledFile('apiDocs-all.yaml'), false);
+});
+
+test('번들 파일이 있을 때만 resolveSpecPath가 번들 경로 반환', (t) => {
+    const dir = createFixture(t, { 'a.yaml': 'openapi: 3.0.0\n', 'b.yaml': 'openapi: 3.0.0\n', 'b.bundled.yaml': 'openapi: 3.0.0\n' });
+
+    assert.equal(SpecBundler.resolveSpecPath(path.join(dir, 'a.yaml')), path.join(dir, 'a.yaml'));
+    assert.equal(SpecBundler.resolveSpecPath(path.join(dir, 'b.yaml')), path.join(dir, 'b.bundled.yaml'));
+    assert.equal(SpecBundler.resolveSpecPath(path.join(dir, 'b.bundled.yaml')), path.join(dir, 'b.bundled.yaml'));
+});
+
+test('readSpecFile은 .json은 JSON, 그 외는 YAML로 파싱', (t) => {
+    const dir = createFixture(t, {
+        'spec.json': '{"openapi": "3.0.0", "paths": {}}',
+        'spec.yml': 'openapi: 3.1.0\npaths: {}\n'
+    });
+
+    assert.deepEqual(SpecBundler.readSpecFile(path.join(dir, 'spec.json')), { openapi: '3.0.0', paths: {} });
+    assert.deepEqual(SpecBundler.readSpecFile(path.join(dir, 'spec.yml')), { openapi: '3.1.0', paths: {} });
+});
+
+test('components 슬롯 참조 파일은 슬롯에 인라인하고 다른 참조는 로컬 참조로 변환', (t) => {
+    const dir = createFixture(t, {
+        'openapi.yaml': [
+            'openapi: 3.0.3',
+            'paths:',
+            '  /photos:',
+            '    $ref: ./paths/photos.yaml',
+            'components:',
+            '  schemas:',
+            '    Photo:',
+            '      $ref: ./schemas/Photo.yaml'
+        ].join('\n'),
+        'paths/photos.yaml': [
+            'get:',
+            '  responses:',
+            '    "200":',
+            '      description: ok',
+            '      content:',
+            '        application/json:',
+            '          schema:',
+            '            $ref: ../schemas/Photo.yaml'
+        ].join('\n'),
+        'schemas/Photo.yaml': 'type: object\nproperties:\n  id:\n    type: integer\n'
+    });
+
+    const bundled = new SpecBundler(path.join(dir, 'openapi.yaml')).bundle();
+
+    assert.deepEqual(bundled.components.schemas.Photo, { type: 'object', properties: { id: { type: 'integer' } } });
+    assert.deepEqual(bundled.paths['/photos'].get.responses['200'].content['application/json'].schema,
+        { $ref: '#/components/schemas/Photo' });
+    assert.equal(SpecBundler.hasExternalRefs(bundled), false);
+});
+
+test('외부 파일의 components 항목은 같은 이름으로 옮기고 이름 충돌 시 번호 부여', (t) => {
+    const dir = createFixture(t, {
+        'openapi.yaml': [
+            'openapi: 3.0.3',
+            'paths:',
+            '  /photos:',
+            '    get:',
+            '      responses:',
+            '        "500":',
+            '          $ref: "./common.yaml#/components/responses/Error"',
+            'components:',
+            '  responses:',
+            '    Error:',
+            '      description: 로컬 오류'
+        ].join('\n'),
+        'common.yaml': 'components:\n  responses:\n    Error:\n      description: 공통 오류\n'
+    });
+
+    const bundled = new SpecBundler(path.join(dir, 'openapi.yaml')).bundle();
+
+    assert.deepEqual(bundled.paths['/photos'].get.responses['500'], { $ref: '#/components/responses/Error2' });
+    assert.deepEqual(bundled.components.responses, {
+        Error: { description: '로컬 오류' },
+        Error2: { description: '공통 오류' }
+    });
+});
+
+test('순환 외부 참조는 components.schemas로 옮겨 로컬 참조로 끊음', (t) => {
+    const dir = createFixture(t, {
+        'openapi.yaml': [
+            'openapi: 3.0.3',
+            'paths:',
+            '  /nodes:',
+            '    get:',
+            '      responses:',
+            '        "200":',
+            '          description: ok',
+            '          content:',
+            '            application/json:',
+            '              schema:',
+            '                $ref: ./Node.yaml'
+        ].join('\n'),
+        'Node.yaml': 'type: object\nproperties:\n  children:\n    type: array\n    items:\n      $ref: ./Node.yaml\n'
+    });
+
+    const bundled = new SpecBundler(path.join(dir, 'openapi.yaml')).bundle();
+    const schema = bundled.paths['/nodes'].get.responses['200'].content['application/json'].schema;
+
+    assert.deepEqual(schema.properties.children.items, { $ref: '#/components/schemas/Node' });
+    assert.deepEqual(bundled.components.schemas.Node.properties.children.items, { $ref: '#/components/schemas/Node' });
+});
+
+test('없는 참조 파일은 상대 경로를 담은 오류', (t) => {
+    const dir = createFixture(t, {
+        'openapi.yaml': 'openapi: 3.0.3\npaths:\n  /a:\n    $ref: ./paths/missing.yaml\n'
+    });
+
+    assert.throws(() => new SpecBundler(path.join(dir, 'openapi.yaml')).bundle(), /paths\/missing\.yaml/);
+});
+
+test('bundleDirectory는 외부 참조가 있는 진입 문서만 원본 형식으로 번들', (t) => {
+    const dir = createFixture(t, {
+        'split.json': JSON.stringify({ openapi: '3.0.3', paths: { '/a': { $ref: './a.json' } } }),
+        'a.json': JSON.stringify({ get: { responses: { 200: { description: 'ok' } } } }),
+        'single.yaml': 'openapi: 3.0.3\npaths: {}\n'
+    });
+    t.mock.method(console, 'log', () => {});
+
+    const bundledPaths = SpecBundler.bundleDirectory(dir);
+
+    assert.deepEqual(bundledPaths, [path.join(dir, 'split.bundled.json')]);
+    assert.deepEqual(SpecBundler.readSpecFile(bundledPaths[0]).paths['/a'].get.responses, { 200: { description: 'ok' } });
+});
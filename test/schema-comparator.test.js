@@ -0,0 +1,132 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const SchemaComparator = require('../scripts/schema-comparator.js');
+const RefResolver = require('../scripts/ref-resolver.js');
+
+/**
+ * 두 스키마를 비교해 [kind, location, breaking] 목록 반환
+ */
+function diff(oldSchema, newSchema, direction = 'response', components = {}) {
+    const comparator = new SchemaComparator(
+        new RefResolver({ components: { schemas: components.old || components } }),
+        new RefResolver({ components: { schemas: components.new || components } })
+    );
+    return comparator.compare(oldSchema, newSchema, 'response.200', { direction })
+        .map(({ kind, location, breaking }) => [kind, location, breaking]);
+}
+
+const owner = {
+    type: 'object',
+    properties: { id: { type: 'integer' }, name: { type: 'string' } },
+    required: ['id']
+};
+
+test('중첩 속성 삭제는 위치와 함께 Breaking', () => {
+    const before = { type: 'object', properties: { owner: { type: 'object', properties: { id: { type: 'integer' } } } } };
+    const after = { type: 'object', properties: { owner: { type: 'object', properties: {} } } };
+
+    assert.deepEqual(diff(before, after), [['PROPERTY_REMOVED', 'response.200.owner.id', true]]);
+});
+
+test('배열 items와 $ref를 따라가며 비교', () => {
+    const components = { old: { Owner: owner }, new: { Owner: { ...owner, properties: { id: owner.properties.id } } } };
+    const schema = { type: 'array', items: { $ref: '#/components/schemas/Owner' } };
+
+    assert.deepEqual(diff(schema, schema, 'response', components), [['PROPERTY_REMOVED', 'response.200[].name', true]]);
+});
+
+test('선택 속성 추가는 요청/응답 모두 비Breaking, 필수 속성 추가는 요청에서만 Breaking', () => {
+    const before = { type: 'object', properties: {} };
+    const optional = { type: 'object', properties: { memo: { type: 'string' } } };
+    const required = { ...optional, required: ['memo'] };
+
+    assert.deepEqual(diff(before, optional, 'request'), [['PROPERTY_ADDED', 'response.200.memo', false]]);
+    assert.deepEqual(diff(before, required, 'request'), [['REQUIRED_PROPERTY_ADDED', 'response.200.memo', true]]);
+    assert.deepEqual(diff(before, required, 'response'), [['REQUIRED_PROPERTY_ADDED', 'response.200.memo', false]]);
+});
+
+test('enum 값 추가는 응답에서, 삭제는 요청에서 Breaking', () => {
+    const before = { type: 'string', enum: ['A', 'B'] };
+    const after = { type: 'string', enum: ['A', 'C'] };
+
+    assert.deepEqual(diff(before, after, 'response'), [
+        ['ENUM_VALUE_REMOVED', 'response.200', false],
+        ['ENUM_VALUE_ADDED', 'response.200', true]
+    ]);
+    assert.deepEqual(diff(before, after, 'request'), [
+        ['ENUM_VALUE_REMOVED', 'response.200', true],
+        ['ENUM_VALUE_ADDED', 'response.200', false]
+    ]);
+});
+
+test('integer → number 확장은 요청에서 안전', () => {
+    assert.deepEqual(diff({ type: 'integer' }, { type: 'number' }, 'request'), [['TYPE_CHANGED', 'response.200', false]]);
+    assert.deepEqual(diff({ type: 'integer' }, { type: 'number' }, 'response'), [['TYPE_CHANGED', 'response.200', true]]);
+});
+
+test('제약 강화는 요청에서, 완화는 응답에서 Breaking', () => {
+    assert.deepEqual(diff({ type: 'string', maxLength: 20 }, { type: 'string', maxLength: 10 }, 'request'),
+        [['CONSTRAINT_TIGHTENED', 'response.200', true]]);
+    assert.deepEqual(diff({ type: 'string', maxLength: 10 }, { type: 'string', maxLength: 20 }, 'response'),
+        [['CONSTRAINT_LOOSENED', 'response.200', true]]);
+});
+
+test('소수 multipleOf의 배수 관계 판단', () => {
+    assert.deepEqual(diff({ type: 'number', multipleOf: 0.1 }, { type: 'number', multipleOf: 0.3 }, 'request'),
+        [['CONSTRAINT_TIGHTENED', 'response.200', true]]);
+    assert.deepEqual(diff({ type: 'number', multipleOf: 0.3 }, { type: 'number', multipleOf: 0.1 }, 'request'),
+        [['CONSTRAINT_LOOSENED', 'response.200', false]]);
+});
+
+test('포맷 확장(int32 → int64)은 완화, 무관한 포맷 변경은 양방향 Breaking', () => {
+    assert.deepEqual(diff({ type: 'integer', format: 'int32' }, { type: 'integer', format: 'int64' }, 'request'),
+        [['FORMAT_CHANGED', 'response.200', false]]);
+    assert.deepEqual(diff({ type: 'string', format: 'date' }, { type: 'string', format: 'date-time' }, 'request'),
+        [['FORMAT_CHANGED', 'response.200', true]]);
+});
+
+test('OpenAPI 3.0 nullable과 3.1 type 배열 표기 차이는 변경 아님', () => {
+    assert.deepEqual(diff({ type: 'string', nullable: true }, { type: ['string', 'null'] }), []);
+    assert.deepEqual(diff({ type: 'string' }, { type: ['string', 'null'] }), [['BECAME_NULLABLE', 'response.200', true]]);
+});
+
+test('3.0 boolean exclusiveMinimum과 3.1 숫자 exclusiveMinimum은 같은 제약', () => {
+    assert.deepEqual(diff({ type: 'number', minimum: 5, exclusiveMinimum: true }, { type: 'number', exclusiveMinimum: 5 }), []);
+    assert.deepEqual(diff({ type: 'number', maximum: 5, exclusiveMaximum: false }, { type: 'number', maximum: 5 }), []);
+});
+
+test('allOf + nullable과 oneOf의 null 분기는 같은 스키마', () => {
+    const before = { type: 'object', properties: { owner: { allOf: [{ $ref: '#/components/schemas/Owner' }], nullable: true } } };
+    const after = { type: 'object', properties: { owner: { oneOf: [{ $ref: '#/components/schemas/Owner' }, { type: 'null' }] } } };
+
+    assert.deepEqual(diff(before, after, 'response', { Owner: owner }), []);
+});
+
+test('oneOf 분기는 $ref 이름으로 매칭', () => {
+    const components = { Cat: { type: 'object' }, Dog: { type: 'object' }, Bird: { type: 'object' } };
+    const before = { oneOf: [{ $ref: '#/components/schemas/Cat' }, { $ref: '#/components/schemas/Dog' }] };
+    const after = { oneOf: [{ $ref: '#/components/schemas/Dog' }, { $ref: '#/components/schemas/Bird' }] };
+
+    assert.deepEqual(diff(before, after, 'response', components), [
+        ['COMPOSITION_BRANCH_REMOVED', 'response.200.oneOf[0]', false],
+        ['COMPOSITION_BRANCH_ADDED', 'response.200.oneOf[1]', true]
+    ]);
+});
+
+test('재귀 스키마도 비교가 끝남', () => {
+    const node = {
+        type: 'object',
+        properties: { parent: { allOf: [{ $ref: '#/components/schemas/Node' }], nullable: true } }
+    };
+    const schema = { $ref: '#/components/schemas/Node' };
+
+    assert.deepEqual(diff(schema, schema, 'response', { Node: node }), []);
+});
+
+test('readOnly 속성은 요청 비교에서 제외', () => {
+    const before = { type: 'object', properties: { id: { type: 'integer', readOnly: true } } };
+    const after = { type: 'object', properties: {} };
+
+    assert.deepEqual(diff(before, after, 'request'), []);
+    assert.deepEqual(diff(before, after, 'response'), [['PROPERTY_REMOVED', 'response.200.id', true]]);
+});
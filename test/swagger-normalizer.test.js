@@ -0,0 +1,172 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const SwaggerNormalizer = require('../scripts/swagger-normalizer.js');
+
+/**
+ * 최소 Swagger 2.0 스펙 생성
+ */
+function swagger(overrides = {}) {
+    return { swagger: '2.0', info: { title: 'pet', version: '1.0.0' }, paths: {}, ...overrides };
+}
+
+test('OAS3 스펙은 그대로 반환', () => {
+    const spec = { openapi: '3.0.1', paths: {} };
+
+    assert.equal(SwaggerNormalizer.normalize(spec), spec);
+    assert.equal(SwaggerNormalizer.normalize(null), null);
+});
+
+test('원본 스펙은 변경하지 않음', () => {
+    const spec = swagger({ definitions: { Pet: { type: 'object' } } });
+    const snapshot = JSON.parse(JSON.stringify(spec));
+
+    SwaggerNormalizer.normalize(spec);
+
+    assert.deepEqual(spec, snapshot);
+});
+
+test('host/basePath/schemes → servers', () => {
+    const result = SwaggerNormalizer.normalize(swagger({ host: 'api.example.com', basePath: '/v1', schemes: ['http', 'https'] }));
+
+    assert.deepEqual(result.servers, [{ url: 'http://api.example.com/v1' }, { url: 'https://api.example.com/v1' }]);
+});
+
+test('definitions → components.schemas, 참조 경로와 x-nullable 변환', () => {
+    const result = SwaggerNormalizer.normalize(swagger({
+        definitions: {
+            Pet: { type: 'object', properties: { owner: { $ref: '#/definitions/Owner', 'x-nullable': true } } },
+            Owner: { type: 'object' }
+        }
+    }));
+
+    assert.deepEqual(result.components.schemas.Pet.properties.owner, { $ref: '#/components/schemas/Owner', nullable: true });
+    assert.deepEqual(result.components.schemas.Owner, { type: 'object' });
+});
+
+test('body 파라미터 → consumes 미디어 타입별 requestBody', () => {
+    const result = SwaggerNormalizer.normalize(swagger({
+        consumes: ['application/json', 'application/xml'],
+        paths: {
+            '/pets': {
+                post: {
+                    parameters: [
+                        { name: 'body', in: 'body', required: true, schema: { $ref: '#/definitions/Pet' } },
+                        { name: 'dryRun', in: 'query', type: 'boolean' }
+                    ],
+                    responses: { 200: { description: 'ok' } }
+                }
+            }
+        }
+    }));
+    const operation = result.paths['/pets'].post;
+
+    assert.deepEqual(operation.requestBody, {
+        content: {
+            'application/json': { schema: { $ref: '#/components/schemas/Pet' } },
+            'application/xml': { schema: { $ref: '#/components/schemas/Pet' } }
+        },
+        required: true
+    });
+    assert.deepEqual(operation.parameters, [{ name: 'dryRun', in: 'query', schema: { type: 'boolean' } }]);
+});
+
+test('formData 파라미터 → object 스키마, file 타입이면 multipart', () => {
+    const result = SwaggerNormalizer.normalize(swagger({
+        paths: {
+            '/pets/{id}/photo': {
+                post: {
+                    parameters: [
+                        { name: 'file', in: 'formData', type: 'file', required: true },
+                        { name: 'caption', in: 'formData', type: 'string', description: '설명' }
+                    ],
+                    responses: { 200: { description: 'ok' } }
+                }
+            }
+        }
+    }));
+
+    assert.deepEqual(result.paths['/pets/{id}/photo'].post.requestBody, {
+        content: {
+            'multipart/form-data': {
+                schema: {
+                    type: 'object',
+                    properties: {
+                        file: { type: 'string', format: 'binary' },
+                        caption: { type: 'string', description: '설명' }
+                    },
+                    required: ['file']
+                }
+            }
+        },
+        required: true
+    });
+});
+
+test('공용 body 파라미터 참조 → components.requestBodies 참조', () => {
+    const result = SwaggerNormalizer.normalize(swagger({
+        parameters: { PetBody: { name: 'body', in: 'body', schema: { type: 'object' } } },
+        paths: { '/pets': { put: { parameters: [{ $ref: '#/parameters/PetBody' }], responses: {} } } }
+    }));
+
+    assert.deepEqual(result.paths['/pets'].put.requestBody, { $ref: '#/components/requestBodies/PetBody' });
+    assert.deepEqual(result.components.requestBodies.PetBody, {
+        content: { 'application/json': { schema: { type: 'object' } } }
+    });
+});
+
+test('응답 schema → produces 미디어 타입별 content (오퍼레이션 produces 우선)', () => {
+    const result = SwaggerNormalizer.normalize(swagger({
+        produces: ['application/xml'],
+        paths: {
+            '/pets': {
+                get: {
+                    produces: ['application/json'],
+                    responses: { 200: { description: 'ok', schema: { type: 'array', items: { $ref: '#/definitions/Pet' } } } }
+                }
+            }
+        }
+    }));
+
+    assert.deepEqual(result.paths['/pets'].get.responses[200], {
+        description: 'ok',
+        content: { 'application/json': { schema: { type: 'array', items: { $ref: '#/components/schemas/Pet' } } } }
+    });
+});
+
+test('배열 query 파라미터의 collectionFormat → style/explode', () => {
+    const result = SwaggerNormalizer.normalize(swagger({
+        paths: {
+            '/pets': {
+                get: {
+                    parameters: [
+                        { name: 'tags', in: 'query', type: 'array', items: { type: 'string' } },
+                        { name: 'ids', in: 'query', type: 'array', items: { type: 'integer' }, collectionFormat: 'multi' }
+                    ],
+                    responses: {}
+                }
+            }
+        }
+    }));
+    const [tags, ids] = result.paths['/pets'].get.parameters;
+
+    assert.equal(tags.explode, false);
+    assert.equal(ids.style, 'form');
+    assert.equal(ids.explode, true);
+});
+
+test('securityDefinitions → securitySchemes (basic, oauth2 flow 이름)', () => {
+    const result = SwaggerNormalizer.normalize(swagger({
+        securityDefinitions: {
+            basicAuth: { type: 'basic' },
+            oauth: { type: 'oauth2', flow: 'accessCode', authorizationUrl: 'https://a', tokenUrl: 'https://t', scopes: { read: '읽기' } }
+        }
+    }));
+
+    assert.deepEqual(result.components.securitySchemes, {
+        basicAuth: { type: 'http', scheme: 'basic' },
+        oauth: {
+            type: 'oauth2',
+            flows: { authorizationCode: { scopes: { read: '읽기' }, authorizationUrl: 'https://a', tokenUrl: 'https://t' } }
+        }
+    });
+});